@@ -0,0 +1,188 @@
+// approximation.js
+// Compare the JI layer with the EDO layer: nearest EDO step per interval, its error,
+// arcs on the circle, a sortable table, and a consistency check for the odd limit
+import { attachTooltipHandlers, ensureGroup, createChangeTracker, controlValues, cancelExit, fadeOutAndRemove } from './utils.js';
+import { readJIControls } from './ji.js';
+import { getPeriod, equalDivisionName } from './period.js';
+import { approximateIntervals, edoConsistency } from './theory/index.js';
+
+// Columns of the approximation table; key is the row field used for sorting
+const TABLE_COLUMNS = [
+    { key: 'cents', label: 'Interval', format: d => d.fraction },
+    { key: 'cents', label: 'Cents', format: d => d.cents.toFixed(2) },
+    { key: 'step', label: 'Step', format: d => String(d.step) },
+    { key: 'absError', label: 'Error (¢)', format: d => formatSigned(d.error, 2) },
+    { key: 'absRelativeError', label: 'Error (%)', format: d => formatSigned(d.relativeError * 100, 1) }
+];
+
+// Current table sort, changed by clicking a column header
+let sortColumn = 0;
+let sortAscending = true;
+
+// Rows of the last render, kept so the table can be re-sorted without recomputing
+let currentRows = [];
+
+// Inputs the table and consistency readout were last computed from, and the circle and
+// toggle the arcs were last drawn with
+const inputsChanged = createChangeTracker();
+const circleChanged = createChangeTracker();
+
+/**
+ * Format a number with an explicit sign.
+ * @param {number} value
+ * @param {number} decimals
+ * @returns {string}
+ */
+function formatSigned(value, decimals) {
+    const text = value.toFixed(decimals);
+    return value >= 0 && !text.startsWith('-') ? `+${text}` : text;
+}
+
+/**
+ * Color for an error, from green (exact) to red (half a step off).
+ * @param {number} relativeError - Error as a fraction of one step.
+ * @returns {string}
+ */
+function errorColor(relativeError) {
+    return d3.interpolateRdYlGn(1 - Math.min(1, Math.abs(relativeError) * 2));
+}
+
+/**
+ * Draw the approximation arcs and update the table and consistency readout.
+ * Each arc runs along the inside of the circle from a JI interval to its nearest EDO step,
+ * colored by the size of the error. Arcs are joined to their elements by fraction, so zooming
+ * or panning the circle only moves them.
+ * @param {d3.Selection} svg
+ * @param {number} centerX
+ * @param {number} centerY
+ * @param {number} radius
+ * @param {Object} layers
+ * @param {Array<{cents: number, fraction: string}>} layers.intervals - Intervals drawn by the JI layer.
+ * @param {number} layers.divisions - Number of steps drawn by the EDO layer (0 if none).
+ * @returns {Array<Object>} The approximated intervals (see approximateIntervals).
+ */
+export function renderApproximation(svg, centerX, centerY, radius, { intervals, divisions }) {
+    const approxGroup = ensureGroup(svg, 'approx-group');
+
+    // Recompute only when the intervals, the EDO, the period or the odd limit (which feeds the
+    // consistency check) changed, and redraw only when that or the circle changed
+    const period = getPeriod();
+    const showArcs = d3.select('#approx-toggle').property('checked');
+    const changed = inputsChanged([
+        intervals.map(d => [d.fraction, d.cents]), divisions, period.cents, controlValues('#ji-controls')
+    ]);
+    const moved = circleChanged([showArcs, centerX, centerY, radius]);
+    if (!changed && !moved) {
+        return currentRows;
+    }
+
+    if (changed) {
+        if (!divisions || !intervals.length) {
+            currentRows = [];
+            d3.select('#approx-consistency')
+                .classed('error', false)
+                .text(divisions ? 'No JI intervals to compare.' : 'Set an EDO above 0 to compare.');
+        } else {
+            currentRows = approximateIntervals(intervals, divisions, period.cents).map(row => ({
+                ...row,
+                absError: Math.abs(row.error),
+                absRelativeError: Math.abs(row.relativeError)
+            }));
+            renderConsistency(divisions, period);
+        }
+        renderTable();
+    }
+
+    const arcRadius = radius - 12;
+    const arc = d3.arc()
+        .innerRadius(arcRadius - 3)
+        .outerRadius(arcRadius + 3)
+        .startAngle(d => (d.cents / period.cents) * 2 * Math.PI)
+        .endAngle(d => (d.stepCents / period.cents) * 2 * Math.PI);
+    const drawn = showArcs ? currentRows : [];
+
+    const arcs = approxGroup.selectAll('path.approx-arc')
+        .data(drawn, d => d.fraction)
+        .join(
+            enter => enter.append('path').attr('class', 'approx-arc'),
+            update => cancelExit(update),
+            exit => fadeOutAndRemove(exit)
+        )
+        .attr('transform', `translate(${centerX}, ${centerY})`)
+        .attr('d', arc)
+        .attr('fill', d => errorColor(d.relativeError));
+
+    // Connect the arc to the EDO point so exact hits are still visible
+    approxGroup.selectAll('circle.approx-marker')
+        .data(drawn, d => d.fraction)
+        .join(
+            enter => enter.append('circle').attr('class', 'approx-marker').attr('r', 3),
+            update => cancelExit(update),
+            exit => fadeOutAndRemove(exit)
+        )
+        .attr('cx', d => centerX + arcRadius * Math.cos((d.stepCents / period.cents) * 2 * Math.PI - Math.PI / 2))
+        .attr('cy', d => centerY + arcRadius * Math.sin((d.stepCents / period.cents) * 2 * Math.PI - Math.PI / 2))
+        .attr('fill', d => errorColor(d.relativeError));
+
+    attachTooltipHandlers(arcs, d =>
+        `${d.fraction} → step ${d.step} \\ ${equalDivisionName(divisions, period)}<br>` +
+        `Error: ${formatSigned(d.error, 2)}¢ (${formatSigned(d.relativeError * 100, 1)}% of a step)`
+    );
+
+    return currentRows;
+}
+
+/**
+ * Show whether the EDO is consistent in the current odd limit and list any failures.
+ * @param {number} divisions
+ * @param {{cents: number}} period
+ */
+function renderConsistency(divisions, period) {
+    const controls = readJIControls();
+    const readout = d3.select('#approx-consistency');
+    if (!controls) {
+        readout.text('');
+        return;
+    }
+    const { consistent, inconsistencies } = edoConsistency({ divisions, period: period.cents, ...controls });
+    const name = equalDivisionName(divisions, period);
+    readout
+        .classed('error', !consistent)
+        .text(consistent
+            ? `${name} is consistent in the ${controls.oddLimit}-odd-limit.`
+            : `${name} is inconsistent in the ${controls.oddLimit}-odd-limit: ` +
+              inconsistencies.map(item => `${item.fraction} (direct ${item.direct}, composed ${item.composed} steps)`).join(', '));
+}
+
+/**
+ * Fill the approximation table from currentRows in the current sort order.
+ */
+function renderTable() {
+    const table = d3.select('#approx-table');
+    const column = TABLE_COLUMNS[sortColumn];
+    const rows = [...currentRows].sort((a, b) =>
+        (sortAscending ? 1 : -1) * (a[column.key] - b[column.key]));
+
+    table.select('thead tr')
+        .selectAll('th')
+        .data(TABLE_COLUMNS)
+        .join('th')
+        .attr('scope', 'col')
+        .attr('aria-sort', (d, i) => i === sortColumn ? (sortAscending ? 'ascending' : 'descending') : 'none')
+        .text((d, i) => d.label + (i === sortColumn ? (sortAscending ? ' ▲' : ' ▼') : ''))
+        .on('click', (event, d) => {
+            const index = TABLE_COLUMNS.indexOf(d);
+            sortAscending = index === sortColumn ? !sortAscending : true;
+            sortColumn = index;
+            renderTable();
+        });
+
+    table.select('tbody')
+        .selectAll('tr')
+        .data(rows)
+        .join('tr')
+        .selectAll('td')
+        .data(row => TABLE_COLUMNS.map(col => col.format(row)))
+        .join('td')
+        .text(d => d);
+}
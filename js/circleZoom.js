@@ -0,0 +1,173 @@
+// circleZoom.js
+// Zoom and pan on the circle, and an optional magnifier lens that fans out the spokes under
+// the cursor. Zooming moves and grows the circle itself rather than scaling the drawing, so
+// points keep their size and labels are redrawn at a legible size at every zoom level.
+import { getPeriod } from './period.js';
+
+// Deepest zoom, as a multiple of the fitted circle
+const MAX_ZOOM = 50;
+
+// Radius of the lens in pixels and how many times it widens the angles under it
+const LENS_RADIUS = 80;
+const LENS_MAGNIFICATION = 6;
+
+// The circle's SVG, its zoom behavior and current transform; set by initCircleZoom
+let circleSvg = null;
+let zoom = null;
+let transform = d3.zoomIdentity;
+
+// What the lens draws: the pitches of the last render and the circle they were drawn on,
+// and the cursor position in SVG coordinates (null while the cursor is outside)
+let lensPitches = [];
+let lensGeometry = null;
+let pointer = null;
+
+/**
+ * The current zoom and pan of the circle.
+ * @returns {d3.ZoomTransform}
+ */
+export function getCircleTransform() {
+    return transform;
+}
+
+/**
+ * Whether the magnifier lens is switched on.
+ * @returns {boolean}
+ */
+function isLensOn() {
+    return d3.select('#lens-toggle').property('checked');
+}
+
+/**
+ * Give the lens the pitches just drawn on the circle and redraw it at the cursor.
+ * @param {Array<{cents: number, name: string, color: string}>} pitches - Pitches of every layer.
+ * @param {{centerX: number, centerY: number, radius: number}} geometry - The circle as drawn.
+ */
+export function updateLens(pitches, geometry) {
+    lensPitches = pitches;
+    lensGeometry = geometry;
+    drawLens();
+}
+
+/**
+ * Draw the lens around the cursor: every spoke whose angle falls under it, with the angle
+ * from the cursor multiplied by LENS_MAGNIFICATION, so pitches a few cents apart separate.
+ */
+function drawLens() {
+    if (!circleSvg) return;
+    const lens = circleSvg.select('#lens-group');
+    lens.selectAll('*').remove();
+    if (!isLensOn() || !pointer || !lensGeometry) return;
+    lens.raise();
+
+    const { centerX, centerY, radius } = lensGeometry;
+    const [x, y] = pointer;
+    const period = getPeriod();
+    const cursorAngle = Math.atan2(y - centerY, x - centerX);
+
+    // Angle of each pitch relative to the cursor, wrapped into (-π, π], then widened
+    const spokes = lensPitches
+        .map(pitch => {
+            const angle = (pitch.cents / period.cents) * 2 * Math.PI - Math.PI / 2;
+            const offset = Math.atan2(Math.sin(angle - cursorAngle), Math.cos(angle - cursorAngle));
+            return { ...pitch, angle: cursorAngle + offset * LENS_MAGNIFICATION, offset };
+        })
+        .filter(d => Math.abs(d.offset * LENS_MAGNIFICATION) < Math.PI / 2);
+
+    lens.append('clipPath')
+        .attr('id', 'lens-clip')
+        .append('circle')
+        .attr('cx', x)
+        .attr('cy', y)
+        .attr('r', LENS_RADIUS);
+    lens.append('circle')
+        .attr('class', 'lens-background')
+        .attr('cx', x)
+        .attr('cy', y)
+        .attr('r', LENS_RADIUS);
+
+    const inside = lens.append('g').attr('clip-path', 'url(#lens-clip)');
+    inside.append('circle')
+        .attr('class', 'lens-rim')
+        .attr('cx', centerX)
+        .attr('cy', centerY)
+        .attr('r', radius);
+    inside.selectAll('line')
+        .data(spokes)
+        .enter()
+        .append('line')
+        .attr('class', 'lens-spoke')
+        .attr('x1', centerX)
+        .attr('y1', centerY)
+        .attr('x2', d => centerX + radius * Math.cos(d.angle))
+        .attr('y2', d => centerY + radius * Math.sin(d.angle))
+        .attr('stroke', d => d.color);
+    inside.selectAll('circle.lens-point')
+        .data(spokes)
+        .enter()
+        .append('circle')
+        .attr('class', 'lens-point')
+        .attr('cx', d => centerX + radius * Math.cos(d.angle))
+        .attr('cy', d => centerY + radius * Math.sin(d.angle))
+        .attr('r', 3)
+        .attr('fill', d => d.color);
+    inside.selectAll('text')
+        .data(spokes)
+        .enter()
+        .append('text')
+        .attr('class', 'lens-label')
+        .attr('x', d => centerX + (radius + 12) * Math.cos(d.angle))
+        .attr('y', d => centerY + (radius + 12) * Math.sin(d.angle))
+        .attr('text-anchor', 'middle')
+        .attr('dominant-baseline', 'middle')
+        .text(d => d.name);
+
+    lens.append('circle')
+        .attr('class', 'lens-outline')
+        .attr('cx', x)
+        .attr('cy', y)
+        .attr('r', LENS_RADIUS);
+}
+
+/**
+ * Add wheel, pinch and drag zoom to the circle, and wire up the reset button and the lens.
+ * @param {Object} options
+ * @param {d3.Selection} options.svg - The circle's SVG.
+ * @param {function(): void} options.onZoom - Redraws the circle after the view moved.
+ * @param {function(): void} options.onLensToggle - Called after the lens was switched on or off.
+ * @returns {function(number, number): void} Sets the size of the view in pixels; call it
+ *   whenever the SVG is resized.
+ */
+export function initCircleZoom({ svg, onZoom, onLensToggle }) {
+    circleSvg = svg;
+    svg.append('g')
+        .attr('id', 'lens-group')
+        .attr('pointer-events', 'none');
+
+    zoom = d3.zoom()
+        .scaleExtent([1, MAX_ZOOM])
+        .on('zoom', event => {
+            transform = event.transform;
+            onZoom();
+        });
+    // Double-clicks stay free for playing pitches in quick succession
+    svg.call(zoom).on('dblclick.zoom', null);
+
+    svg.on('mousemove.lens', event => {
+        pointer = d3.pointer(event, svg.node());
+        drawLens();
+    }).on('mouseleave.lens', () => {
+        pointer = null;
+        drawLens();
+    });
+    d3.select('#lens-toggle').on('change', () => {
+        drawLens();
+        onLensToggle();
+    });
+    d3.select('#circle-reset-button').on('click', () => svg.call(zoom.transform, d3.zoomIdentity));
+
+    return (width, height) => {
+        zoom.extent([[0, 0], [width, height]])
+            .translateExtent([[0, 0], [width, height]]);
+    };
+}
@@ -0,0 +1,125 @@
+// custom.js
+import { attachTooltipHandlers, renderLabels, ensureGroup, clearGroup, formatCents } from './utils.js';
+import { attachPitchHandlers } from './selection.js';
+import { formatSclPitch, reduceCents } from './theory/index.js';
+import { getPeriod } from './period.js';
+
+// The imported scale ({ name, description, pitches, period }), or null before anything is loaded
+let customScale = null;
+
+/**
+ * Set the scale shown by the custom layer.
+ * @param {{name: string, description: string, pitches: Array, period: Object}|null} scale - Parsed .scl data.
+ */
+export function setCustomScale(scale) {
+    customScale = scale;
+}
+
+/**
+ * Get the scale shown by the custom layer.
+ * @returns {{name: string, description: string, pitches: Array, period: Object}|null}
+ */
+export function getCustomScale() {
+    return customScale;
+}
+
+/**
+ * Draw the imported scale: the 1/1 plus every degree below the period.
+ * The circle spans the global period, so degrees of scales with a different period are
+ * placed by their cents value reduced into the global period.
+ * @returns {Array<{cents: number, name: string, label: string, tooltip: string, color: string, complexity: number}>}
+ *   The rendered degrees with the texts and color the circle and the ruler share (complexity
+ *   is the degree number), or an empty array when nothing is loaded.
+ */
+export function renderCustom(svg, centerX, centerY, radius) {
+    // Ensure and clear the custom group using shared utilities
+    const customGroup = ensureGroup(svg, 'custom-group');
+    clearGroup(customGroup);
+
+    if (!customScale || !d3.select('#custom-toggle').property('checked')) {
+        return [];
+    }
+
+    const color = d3.select('#custom-color-input').property('value');
+    const period = getPeriod();
+
+    // Degrees in file order, preceded by the implied unison
+    const degrees = [{ cents: 0, numerator: 1, denominator: 1 }, ...customScale.pitches].map((pitch, index) => {
+        const label = pitch.numerator !== undefined ? formatSclPitch(pitch) : formatCents(pitch.cents, 3);
+        return {
+            cents: pitch.cents,
+            label,
+            tooltip: `${customScale.name}: ${label}<br>${formatCents(pitch.cents)}<br>Period: ${formatSclPitch(customScale.period)}`,
+            color,
+            complexity: index,
+            position: reduceCents(pitch.cents, period.cents)
+        };
+    });
+
+    function pointAt(d, r) {
+        const angle = (d.position / period.cents) * 2 * Math.PI - Math.PI / 2;
+        return { x: centerX + r * Math.cos(angle), y: centerY + r * Math.sin(angle) };
+    }
+
+    // Draw spokes
+    customGroup.selectAll('line')
+        .data(degrees)
+        .enter()
+        .append('line')
+        .attr('class', 'custom-line')
+        .attr('x1', centerX)
+        .attr('y1', centerY)
+        .attr('x2', d => pointAt(d, radius).x)
+        .attr('y2', d => pointAt(d, radius).y)
+        .attr('stroke', color)
+        .attr('stroke-width', 2)
+        .attr('stroke-dasharray', '6 3');
+
+    // Draw points
+    const points = customGroup.selectAll('circle')
+        .data(degrees)
+        .enter()
+        .append('circle')
+        .attr('class', 'custom-point')
+        .attr('cx', d => pointAt(d, radius).x)
+        .attr('cy', d => pointAt(d, radius).y)
+        .attr('r', 5)
+        .attr('fill', color)
+        .attr('stroke', 'black');
+
+    // Click to play, shift-click to add to the chord selection
+    attachPitchHandlers(points, 'custom', d => d.cents, d => d.label);
+
+    // Handle labels
+    const alwaysOn = d3.select('#always-on-checkbox').property('checked');
+
+    if (alwaysOn) {
+        // Display labels for all degrees using shared utility
+        renderLabels({
+            selection: customGroup,
+            data: degrees,
+            getText: d => d.label,
+            getX: d => pointAt(d, radius + 10).x,
+            getY: d => pointAt(d, radius + 10).y,
+            getAnchor: d => [pointAt(d, radius).x, pointAt(d, radius).y],
+            center: [centerX, centerY],
+            layer: 'custom',
+            getComplexity: d => d.complexity,
+            fontSize: '10px',
+            fill: 'var(--text-color)',
+            anchor: 'middle'
+        });
+    } else {
+        // Attach tooltip event handlers using shared utility
+        attachTooltipHandlers(points, d => d.tooltip);
+    }
+
+    return degrees.map(d => ({
+        cents: d.cents,
+        name: d.label,
+        label: d.label,
+        tooltip: d.tooltip,
+        color: d.color,
+        complexity: d.complexity
+    }));
+}
@@ -1,11 +1,27 @@
 // edo.js
-import { renderLabels, ensureGroup, clearGroup, parseInput, showError, clearError } from './utils.js';
+import {
+    renderLabels, clearGroup, parseInput, showError, createChangeTracker, detachTooltipHandlers, slideToPitch,
+    cancelExit, fadeOutAndRemove
+} from './utils.js';
+import { attachPitchHandlers } from './selection.js';
+import { gcd, isPrime, edoSteps } from './theory/index.js';
+import { getPeriod, equalDivisionName } from './period.js';
 
-export function renderEDO(svg, linesGroup, pointsGroup, centerX, centerY, radius) {
-    // Clear existing elements using shared utility
-    clearGroup(linesGroup);
-    clearGroup(pointsGroup);
+// Inputs the EDO layer was last drawn from, and the steps it drew then
+const inputsChanged = createChangeTracker();
+let lastSteps = [];
 
+/**
+ * Draw the EDO points (and optional lines) for the value in #edo-input, dividing the
+ * global period (so 13 with a 3/1 period gives 13 ED3). Steps are joined to their elements
+ * by index, so changing the EDO slides the existing steps to their new places and fades
+ * out the ones no longer needed; nothing is redrawn while the inputs and the circle stay the same.
+ * @returns {Array<{index: number, angle: number, x: number, y: number, name: string, label: string, tooltip: string, color: string, complexity: number}>}
+ *   The rendered steps (angle is in cents) with the texts and color the circle and the ruler
+ *   share, or an empty array if the input is invalid. complexity is the size of the smallest
+ *   equal division containing the step, so 6\\12 (a step of 2-EDO) outranks 5\\12 for label space.
+ */
+export function renderEDO(svg, linesGroup, pointsGroup, centerX, centerY, radius) {
     // Get the EDO value from the input using robust validation
     let edoValue;
     try {
@@ -21,23 +37,16 @@ export function renderEDO(svg, linesGroup, pointsGroup, centerX, centerY, radius
     } catch (err) {
         // Optionally, show a global error or return early
         showError('#edo-input', err.message);
-        return;
+        clearGroup(linesGroup);
+        clearGroup(pointsGroup);
+        inputsChanged(null);
+        lastSteps = [];
+        return [];
     }
 
     // Check if we should show lines
     const showLines = d3.select('#edo-lines').property('checked');
 
-    // Function to check if a number is prime
-    function isPrime(n) {
-        if (n <= 1) return false;
-        if (n <= 3) return true;
-        if (n % 2 === 0 || n % 3 === 0) return false;
-        for (let i = 5; i * i <= n; i += 6) {
-            if (n % i === 0 || n % (i + 2) === 0) return false;
-        }
-        return true;
-    }
-
     // Function to determine point color based on EDO value and dark mode
     function getPointFillColor(edoValue) {
         const darkModeEnabled = document.body.classList.contains('dark-mode');
@@ -58,53 +67,85 @@ export function renderEDO(svg, linesGroup, pointsGroup, centerX, centerY, radius
     // Use the function to get the point fill color
     const pointFillColor = getPointFillColor(edoValue);
 
-    // Generate EDO data
-    const edoData = [];
-    for (let i = 0; i < edoValue; i++) {
-        const angle = (i / edoValue) * 1200; // in cents
-        const radians = (angle / 1200) * 2 * Math.PI - Math.PI / 2;
-        const x = centerX + radius * Math.cos(radians);
-        const y = centerY + radius * Math.sin(radians);
-        edoData.push({ index: i, angle, x, y });
-    }
+    // Handle labels
+    const alwaysOn = d3.select('#always-on-checkbox').property('checked');
 
-    // Draw lines
-    if (showLines) {
-        linesGroup.selectAll('line')
-            .data(edoData)
-            .enter()
-            .append('line')
-            .attr('class', 'edo-line')
-            .attr('x1', centerX)
-            .attr('y1', centerY)
-            .attr('x2', d => d.x)
-            .attr('y2', d => d.y)
-            .attr('stroke-width', 1);
+    // Keep the drawing if nothing it depends on changed
+    const period = getPeriod();
+    const inputs = [edoValue, showLines, pointFillColor, period.cents, alwaysOn, centerX, centerY, radius];
+    if (!inputsChanged(inputs) && pointsGroup.node().hasChildNodes()) {
+        return lastSteps;
     }
 
+    // Generate EDO data
+    const divisionName = equalDivisionName(edoValue, period);
+    const position = (cents, r = radius) => {
+        const radians = (cents / period.cents) * 2 * Math.PI - Math.PI / 2;
+        return [centerX + r * Math.cos(radians), centerY + r * Math.sin(radians)];
+    };
+    const edoData = edoSteps(edoValue, period.cents).map(({ index, cents }) => {
+        const angle = cents;
+        const [x, y] = position(angle);
+        return {
+            index,
+            angle,
+            x,
+            y,
+            name: `${index}\\${edoValue}`,
+            label: `${index} \\ ${divisionName}\n${angle.toFixed(2)}¢`,
+            tooltip: `${index} \\ ${divisionName}<br>${angle.toFixed(2)}¢`,
+            color: pointFillColor,
+            complexity: edoValue / gcd(index, edoValue)
+        };
+    });
+    const slide = { getCents: d => d.angle, periodCents: period.cents, position };
+
+    // Draw lines, keyed by step so they slide when the EDO changes
+    linesGroup.selectAll('line.edo-line')
+        .data(showLines ? edoData : [], d => d.index)
+        .join(
+            enter => enter.append('line')
+                .attr('class', 'edo-line')
+                .attr('stroke-width', 1),
+            update => cancelExit(update),
+            exit => fadeOutAndRemove(exit)
+        )
+        .attr('x1', centerX)
+        .attr('y1', centerY)
+        .call(slideToPitch, { ...slide, attrs: ['x2', 'y2'] });
+
     // Draw points
-    const points = pointsGroup.selectAll('circle')
-        .data(edoData)
-        .enter()
-        .append('circle')
-        .attr('class', 'edo-point')
-        .attr('cx', d => d.x)
-        .attr('cy', d => d.y)
-        .attr('r', 5)
+    const points = pointsGroup.selectAll('circle.edo-point')
+        .data(edoData, d => d.index)
+        .join(
+            enter => enter.append('circle')
+                .attr('class', 'edo-point')
+                .attr('r', 5)
+                .attr('stroke', 'black'),
+            update => cancelExit(update),
+            exit => fadeOutAndRemove(exit)
+        )
         .attr('fill', pointFillColor)
-        .attr('stroke', 'black');
+        .call(slideToPitch, slide);
 
-    // Handle labels
-    const alwaysOn = d3.select('#always-on-checkbox').property('checked');
+    // Click to play, shift-click to add to the chord selection
+    attachPitchHandlers(points, 'edo', d => d.angle, d => d.name);
 
+    // Labels are drawn again at the final positions, where the layout places them
+    pointsGroup.selectAll('text.chart-label, line.label-leader').remove();
     if (alwaysOn) {
+        detachTooltipHandlers(points);
         // Display labels for all points using shared utility
         renderLabels({
             selection: pointsGroup,
             data: edoData,
-            getText: d => `${d.index} \\ ${edoValue} EDO\n${d.angle.toFixed(2)}¢`,
+            getText: d => d.label,
             getX: d => d.x + 8,
             getY: d => d.y - 8,
+            getAnchor: d => [d.x, d.y],
+            center: [centerX, centerY],
+            layer: 'edo',
+            getComplexity: d => d.complexity,
             fontSize: '10px',
             fill: 'var(--text-color)'
         });
@@ -112,7 +153,10 @@ export function renderEDO(svg, linesGroup, pointsGroup, centerX, centerY, radius
         // Attach tooltip event handlers using shared utility
         // Lazy import to avoid circular dependency if needed
         import('./utils.js').then(({ attachTooltipHandlers }) => {
-            attachTooltipHandlers(points, d => `${d.index} \\ ${edoValue} EDO<br>${d.angle.toFixed(2)}¢`);
+            attachTooltipHandlers(points, d => d.tooltip);
         });
     }
+
+    lastSteps = edoData;
+    return edoData;
 }
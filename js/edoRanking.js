@@ -0,0 +1,221 @@
+// edoRanking.js
+// Rank the EDOs in a range by how well they approximate the current JI subgroup and odd limit
+import { parseInput, showError } from './utils.js';
+import { readJIControls } from './ji.js';
+import { getPeriod, periodName, isOctave } from './period.js';
+import { jiSet, scoreEdo, rankingSubgroup } from './theory/index.js';
+
+// Only the best results are listed
+const RESULT_LIMIT = 100;
+
+// EDOs scored per main-thread slice when Web Workers are unavailable
+const FALLBACK_CHUNK_SIZE = 50;
+
+// Columns of the ranking table; value gives the sort key (lower is better)
+const TABLE_COLUMNS = [
+    { label: 'EDO', value: d => d.edo, format: d => String(d.edo) },
+    { label: 'TE error', value: d => d.teError, format: d => d.teError.toFixed(3) },
+    { label: 'Max ¢', value: d => d.maxAbsError, format: d => d.maxAbsError.toFixed(2) },
+    { label: 'Mean ¢', value: d => d.meanAbsError, format: d => d.meanAbsError.toFixed(2) },
+    { label: 'Max %', value: d => d.maxRelError, format: d => (d.maxRelError * 100).toFixed(1) },
+    { label: 'Mean %', value: d => d.meanRelError, format: d => (d.meanRelError * 100).toFixed(1) },
+    { label: 'Consistent', value: d => (d.consistent ? 0 : 1), format: d => (d.consistent ? 'yes' : 'no') }
+];
+
+// Current table sort, changed by clicking a column header
+let sortColumn = 1;
+let sortAscending = true;
+
+// Scores of the last completed ranking
+let scores = [];
+
+// The running job, or null: { cancel: function(): void }
+let activeJob = null;
+
+/**
+ * Score EDOs on the main thread, yielding between small slices so the page stays responsive.
+ * @param {Object} params - { minEdo, maxEdo, primes, oddLimit, period }
+ * @param {Object} callbacks - See startRanking.
+ * @returns {function(): void} Cancels the remaining slices.
+ */
+function rankOnMainThread({ minEdo, maxEdo, primes, oddLimit, period }, { onProgress, onResult }) {
+    const intervals = jiSet({ primes, oddLimit, period });
+    const total = maxEdo - minEdo + 1;
+    const results = [];
+    let next = minEdo;
+    let timer = null;
+
+    function runSlice() {
+        const end = Math.min(maxEdo, next + FALLBACK_CHUNK_SIZE - 1);
+        for (; next <= end; next++) {
+            results.push(scoreEdo(next, { primes, oddLimit, period, intervals }));
+        }
+        if (next > maxEdo) {
+            onResult(results);
+        } else {
+            onProgress(results.length, total);
+            timer = setTimeout(runSlice, 0);
+        }
+    }
+    timer = setTimeout(runSlice, 0);
+    return () => clearTimeout(timer);
+}
+
+/**
+ * Score EDOs in a Web Worker, falling back to the main thread when the worker cannot be
+ * started (e.g. module workers are blocked when the page is opened from the file system).
+ * @param {Object} params - { minEdo, maxEdo, primes, oddLimit, period }
+ * @param {Object} callbacks
+ * @param {function(number, number): void} callbacks.onProgress - Called with (done, total).
+ * @param {function(Array<Object>): void} callbacks.onResult - Called with the scores.
+ * @param {function(string): void} callbacks.onError
+ * @returns {{cancel: function(): void}}
+ */
+function startRanking(params, callbacks) {
+    const job = { cancel: () => {} };
+    let worker = null;
+    try {
+        worker = new Worker(new URL('./rankingWorker.js', import.meta.url), { type: 'module' });
+    } catch (err) {
+        job.cancel = rankOnMainThread(params, callbacks);
+        return job;
+    }
+
+    worker.onmessage = event => {
+        const message = event.data;
+        if (message.type === 'progress') {
+            callbacks.onProgress(message.done, message.total);
+        } else {
+            worker.terminate();
+            if (message.type === 'result') callbacks.onResult(message.scores);
+            else callbacks.onError(message.message);
+        }
+    };
+    worker.onerror = event => {
+        event.preventDefault();
+        worker.terminate();
+        job.cancel = rankOnMainThread(params, callbacks);
+    };
+    worker.postMessage(params);
+    job.cancel = () => worker.terminate();
+    return job;
+}
+
+/**
+ * Read and validate the EDO range inputs.
+ * @returns {{minEdo: number, maxEdo: number}|null} Null if an input is invalid.
+ */
+function readRange() {
+    try {
+        const minEdo = parseInput(d3.select('#rank-min-input').property('value'), {
+            type: 'int',
+            min: 1,
+            max: 100000,
+            selector: '#rank-min-input',
+            label: 'Lowest EDO'
+        });
+        const maxEdo = parseInput(d3.select('#rank-max-input').property('value'), {
+            type: 'int',
+            min: 1,
+            max: 100000,
+            selector: '#rank-max-input',
+            label: 'Highest EDO'
+        });
+        if (maxEdo < minEdo) {
+            showError('#rank-max-input', 'Highest EDO must not be below the lowest EDO.');
+            return null;
+        }
+        return { minEdo, maxEdo };
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Fill the ranking table with the best scores in the current sort order.
+ * @param {function(number): void} onSelect
+ */
+function renderTable(onSelect) {
+    const consistentOnly = d3.select('#rank-consistent-checkbox').property('checked');
+    const column = TABLE_COLUMNS[sortColumn];
+    const rows = scores
+        .filter(score => !consistentOnly || score.consistent)
+        .sort((a, b) => (sortAscending ? 1 : -1) * (column.value(a) - column.value(b)) || a.edo - b.edo)
+        .slice(0, RESULT_LIMIT);
+
+    const table = d3.select('#rank-table');
+    table.select('thead tr')
+        .selectAll('th')
+        .data(TABLE_COLUMNS)
+        .join('th')
+        .attr('scope', 'col')
+        .attr('aria-sort', (d, i) => i === sortColumn ? (sortAscending ? 'ascending' : 'descending') : 'none')
+        .text((d, i) => d.label + (i === sortColumn ? (sortAscending ? ' ▲' : ' ▼') : ''))
+        .on('click', (event, d) => {
+            const index = TABLE_COLUMNS.indexOf(d);
+            sortAscending = index === sortColumn ? !sortAscending : true;
+            sortColumn = index;
+            renderTable(onSelect);
+        });
+
+    table.select('tbody')
+        .selectAll('tr')
+        .data(rows)
+        .join('tr')
+        .attr('class', 'data-table__row--clickable')
+        .attr('title', d => `Show ${d.edo} EDO`)
+        .on('click', (event, d) => onSelect(d.edo))
+        .selectAll('td')
+        .data(row => TABLE_COLUMNS.map(col => col.format(row)))
+        .join('td')
+        .text(d => d);
+}
+
+/**
+ * Wire up the EDO ranking panel.
+ * @param {Object} options
+ * @param {function(number): void} options.onSelect - Shows the chosen EDO on the circle.
+ */
+export function initEdoRanking({ onSelect }) {
+    const button = d3.select('#rank-button');
+    const status = d3.select('#rank-status');
+
+    function finish(message) {
+        activeJob = null;
+        button.text('Rank EDOs');
+        status.text(message);
+    }
+
+    button.on('click', () => {
+        if (activeJob) {
+            activeJob.cancel();
+            finish('Ranking cancelled.');
+            return;
+        }
+
+        const range = readRange();
+        const controls = readJIControls();
+        if (!range || !controls) return;
+
+        const period = getPeriod();
+        const subgroup = rankingSubgroup(controls.primes, period).join('.');
+        const description = `${controls.oddLimit}-odd-limit, subgroup ${subgroup}` +
+            (isOctave(period) ? '' : `, period ${periodName(period)}`);
+
+        button.text('Cancel');
+        status.text(`Scoring ${range.minEdo}–${range.maxEdo} EDO…`);
+        activeJob = startRanking({ ...range, ...controls, period }, {
+            onProgress: (done, total) => status.text(`Scored ${done} of ${total} EDOs…`),
+            onResult: result => {
+                scores = result;
+                finish(`${result.length} EDOs ranked for the ${description}.`);
+                renderTable(onSelect);
+            },
+            onError: message => finish(`Ranking failed: ${message}`)
+        });
+    });
+
+    d3.select('#rank-consistent-checkbox').on('change', () => renderTable(onSelect));
+
+    renderTable(onSelect);
+}
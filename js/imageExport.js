@@ -0,0 +1,258 @@
+// imageExport.js
+// Export the live visualization as a standalone SVG file or a rasterized PNG
+import { parseInput, downloadFile, showGlobalError, flushLabelLayouts } from './utils.js';
+import { getPrimeColors, describeJISet } from './ji.js';
+import { getCustomScale } from './custom.js';
+import { getPeriod, isOctave, periodName, equalDivisionName } from './period.js';
+import { getMosLayers } from './mosLayers.js';
+import { isRulerView } from './ruler.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Presentation properties copied from computed styles, so the file does not depend on
+// the app's stylesheets or CSS variables
+const INLINED_PROPERTIES = [
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray', 'opacity', 'visibility'
+];
+
+// Additional properties copied for text elements only
+const INLINED_TEXT_PROPERTIES = ['font-size', 'font-family', 'font-weight', 'text-anchor', 'dominant-baseline'];
+
+// Space reserved below the circle for the caption and legend
+const FOOTER_HEIGHT = 70;
+
+/**
+ * Replace any var(--name) references left in a value with the theme's current values.
+ * @param {string} value
+ * @returns {string}
+ */
+function resolveCssVariables(value) {
+    const rootStyle = getComputedStyle(document.body);
+    return value.replace(/var\((--[\w-]+)(?:\s*,\s*([^)]+))?\)/g,
+        (match, name, fallback) => rootStyle.getPropertyValue(name).trim() || (fallback || '').trim() || match);
+}
+
+/**
+ * Describe the parameters of every visible layer in one line.
+ * @returns {string}
+ */
+function describeVisualization() {
+    const period = getPeriod();
+    const parts = [equalDivisionName(parseInt(d3.select('#edo-input').property('value'), 10), period).replace(' ', '-')];
+    if (!isOctave(period)) {
+        parts.unshift(`Period ${periodName(period)}`);
+    }
+
+    parts.push(describeJISet().description);
+
+    if (d3.select('#mos-toggle').property('checked')) {
+        getMosLayers().filter(layer => layer.visible).forEach(layer => {
+            const mosText = d3.select(`#mos-group .mos-label[data-layer="${layer.id}"]`);
+            const down = parseInt(layer.down, 10) || 0;
+            parts.push(`MOS generator ${layer.negative ? '−' : ''}${layer.generator} × ${layer.stacks} stacks` +
+                (down ? ` up and ${down} down` : '') +
+                (mosText.empty() ? '' : ` (${mosText.text()})`));
+        });
+    }
+
+    if (!d3.select('#custom-group').selectAll('circle').empty()) {
+        parts.push(`custom: ${getCustomScale().name}`);
+    }
+    return parts.join(' · ');
+}
+
+/**
+ * Legend entries (label and color) for the layers currently drawn.
+ * @param {SVGElement} svgNode - The live SVG element.
+ * @returns {Array<{label: string, color: string}>}
+ */
+function legendEntries(svgNode) {
+    const entries = [];
+    const firstColor = (selector, property) => {
+        const node = svgNode.querySelector(selector);
+        if (!node) return null;
+        return resolveCssVariables(getComputedStyle(node).getPropertyValue(property) || node.getAttribute(property) || '');
+    };
+
+    const edoColor = firstColor('.edo-point', 'fill');
+    if (edoColor) entries.push({ label: 'EDO', color: edoColor });
+
+    const primeColors = getPrimeColors(document.body.classList.contains('dark-mode'));
+    const drawnStrokes = new Set(Array.from(svgNode.querySelectorAll('.ji-line')).map(node => node.getAttribute('stroke')));
+    Object.entries(primeColors).forEach(([prime, color]) => {
+        if (drawnStrokes.has(color)) entries.push({ label: `JI ${prime}-limit`, color });
+    });
+
+    const customColor = firstColor('.custom-point', 'fill');
+    if (customColor) entries.push({ label: 'Custom', color: customColor });
+
+    const mosColor = firstColor('.mos-point', 'fill');
+    if (mosColor) entries.push({ label: 'MOS', color: mosColor });
+
+    return entries;
+}
+
+/**
+ * Serialize the live visualization to a standalone SVG document with resolved colors,
+ * a background in the current theme, and a caption plus legend below the circle (or the
+ * ruler, when that view is shown).
+ * @returns {{markup: string, width: number, height: number}}
+ */
+function buildStandaloneSvg() {
+    const svgNode = isRulerView() ? document.querySelector('#ruler-view svg') : document.querySelector('#visualization svg');
+    const [, , width, circleHeight] = svgNode.getAttribute('viewBox').split(' ').map(Number);
+    const height = circleHeight + FOOTER_HEIGHT;
+
+    const clone = svgNode.cloneNode(true);
+    clone.setAttribute('xmlns', SVG_NS);
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+    // Inline computed presentation styles, element by element (clone order matches the original)
+    const originals = svgNode.querySelectorAll('*');
+    const copies = clone.querySelectorAll('*');
+    originals.forEach((original, i) => {
+        const copy = copies[i];
+        const computed = getComputedStyle(original);
+        const properties = original.tagName.toLowerCase() === 'text'
+            ? INLINED_PROPERTIES.concat(INLINED_TEXT_PROPERTIES)
+            : INLINED_PROPERTIES;
+        properties.forEach(property => {
+            const value = computed.getPropertyValue(property);
+            if (value) copy.setAttribute(property, value);
+        });
+        copy.removeAttribute('class');
+        copy.removeAttribute('aria-describedby');
+        // Catch variables the browser left unresolved (e.g. in attributes it did not compute)
+        Array.from(copy.attributes).forEach(attribute => {
+            if (attribute.value.includes('var(')) {
+                copy.setAttribute(attribute.name, resolveCssVariables(attribute.value));
+            }
+        });
+    });
+
+    const rootStyle = getComputedStyle(document.body);
+    const background = rootStyle.getPropertyValue('--background-color').trim() || '#ffffff';
+    const textColor = rootStyle.getPropertyValue('--text-color').trim() || '#000000';
+
+    const backgroundRect = document.createElementNS(SVG_NS, 'rect');
+    backgroundRect.setAttribute('width', width);
+    backgroundRect.setAttribute('height', height);
+    backgroundRect.setAttribute('fill', background);
+    clone.insertBefore(backgroundRect, clone.firstChild);
+
+    // Caption and legend
+    const footer = d3.select(clone).append('g')
+        .attr('transform', `translate(0, ${circleHeight})`)
+        .attr('font-family', 'Arial, sans-serif');
+
+    footer.append('text')
+        .attr('x', width / 2)
+        .attr('y', 20)
+        .attr('text-anchor', 'middle')
+        .attr('font-size', '14px')
+        .attr('fill', textColor)
+        .text(describeVisualization());
+
+    const entries = legendEntries(svgNode);
+    const entryWidth = 110;
+    const legendStart = Math.max(10, (width - entries.length * entryWidth) / 2);
+    const legend = footer.selectAll('g.legend-entry')
+        .data(entries)
+        .enter()
+        .append('g')
+        .attr('transform', (d, i) => `translate(${legendStart + i * entryWidth}, 45)`);
+
+    legend.append('circle')
+        .attr('r', 6)
+        .attr('cx', 6)
+        .attr('fill', d => d.color)
+        .attr('stroke', textColor);
+
+    legend.append('text')
+        .attr('x', 18)
+        .attr('y', 4)
+        .attr('font-size', '12px')
+        .attr('fill', textColor)
+        .text(d => d.label);
+
+    const markup = '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone);
+    return { markup, width, height };
+}
+
+/**
+ * Wire up the SVG and PNG export buttons.
+ * @param {Object} options
+ * @param {function(): void} options.render - Re-renders the visualization from the current controls.
+ */
+export function initImageExport({ render }) {
+    /**
+     * Build the standalone SVG, temporarily switching labels on if the export asks for them.
+     * @returns {{markup: string, width: number, height: number}}
+     */
+    function captureSvg() {
+        const labelsCheckbox = d3.select('#always-on-checkbox');
+        const forceLabels = d3.select('#export-labels-checkbox').property('checked') && !labelsCheckbox.property('checked');
+        if (forceLabels) {
+            labelsCheckbox.property('checked', true);
+            render();
+        }
+        flushLabelLayouts();
+        try {
+            return buildStandaloneSvg();
+        } finally {
+            if (forceLabels) {
+                labelsCheckbox.property('checked', false);
+                render();
+            }
+        }
+    }
+
+    d3.select('#export-svg-button').on('click', () => {
+        const { markup } = captureSvg();
+        downloadFile('mos-edo-ji-circle.svg', markup, 'image/svg+xml');
+    });
+
+    d3.select('#export-png-button').on('click', () => {
+        let targetWidth;
+        try {
+            targetWidth = parseInput(d3.select('#export-png-width').property('value'), {
+                type: 'int',
+                min: 100,
+                max: 8000,
+                selector: '#export-png-width',
+                label: 'PNG width'
+            });
+        } catch (err) {
+            return;
+        }
+
+        const { markup, width, height } = captureSvg();
+        const scale = targetWidth / width;
+        const image = new Image();
+        const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+
+        image.onload = () => {
+            // Rasterize on an offscreen canvas at the requested resolution
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(width * scale);
+            canvas.height = Math.round(height * scale);
+            const context = canvas.getContext('2d');
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => {
+                if (blob) {
+                    downloadFile('mos-edo-ji-circle.png', blob);
+                } else {
+                    showGlobalError('PNG export failed: the browser could not encode the image.');
+                }
+            }, 'image/png');
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            showGlobalError('PNG export failed: the SVG could not be rasterized.');
+        };
+        image.src = url;
+    });
+}
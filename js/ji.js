@@ -1,15 +1,58 @@
 // ji.js
-import { attachTooltipHandlers, renderLabels, ensureGroup, clearGroup, parseInput, showError, clearError } from './utils.js';
+import {
+    attachTooltipHandlers, renderLabels, ensureGroup, clearGroup, parseInput, showError, clearError, createChangeTracker,
+    controlValues, detachTooltipHandlers, slideToPitch, cancelExit, fadeOutAndRemove
+} from './utils.js';
+import { attachPitchHandlers } from './selection.js';
+import { jiSet, jiLimitSet, harmonicSegment, parseChord, jiChord, jiChordEdges } from './theory/index.js';
+import { getPeriod } from './period.js';
 
-export function renderJI(svg, centerX, centerY, radius) {
-    // Ensure and clear the JI group using shared utilities
-    const jiGroup = ensureGroup(svg, 'ji-group');
-    clearGroup(jiGroup);
+/**
+ * Colors used for JI intervals, keyed by their highest prime.
+ * @param {boolean} darkModeEnabled - Whether the dark theme is active.
+ * @returns {Object<number, string>}
+ */
+export function getPrimeColors(darkModeEnabled) {
+    return {
+        3: darkModeEnabled ? '#FF9999' : '#FF0000',   // Lighter red in dark mode
+        5: darkModeEnabled ? '#9999FF' : '#0000FF',   // Lighter blue
+        7: darkModeEnabled ? '#FFD580' : '#FFA500',   // Lighter orange
+        11: darkModeEnabled ? '#FF99FF' : '#800080',  // Lighter purple
+        13: darkModeEnabled ? '#80FF80' : '#008000',  // Lighter green
+        17: darkModeEnabled ? '#80FFFF' : '#00FFFF',  // Lighter cyan
+        19: darkModeEnabled ? '#FFFF80' : '#FFD700'   // Lighter gold
+    };
+}
+
+// Inputs of the limit criteria other than the odd limit, read with parseInput
+const LIMIT_INPUTS = {
+    integer: { selector: '#ji-integer-limit', type: 'int', min: 2, max: 1000, label: 'Integer limit' },
+    numerator: { selector: '#ji-numerator-limit', type: 'int', min: 2, max: 1000, label: 'Numerator limit' },
+    denominator: { selector: '#ji-denominator-limit', type: 'int', min: 1, max: 1000, label: 'Denominator limit' },
+    tenney: { selector: '#ji-tenney-height', type: 'float', min: 1, max: 16, label: 'Tenney height' },
+    benedetti: { selector: '#ji-benedetti-height', type: 'int', min: 2, max: 65536, label: 'Benedetti height' },
+    prime: { selector: '#ji-complexity', type: 'int', min: 1, max: 8, label: 'Complexity' }
+};
 
-    // Get selected primes
-    const selectedPrimes = d3.selectAll('#prime-checkboxes input[type="checkbox"]')
+/**
+ * The limit criterion in effect: the one chosen under Limit, or the odd limit while a series
+ * or chord is drawn (its primes and odd limit still feed the other panels).
+ * @returns {'odd'|'integer'|'numden'|'tenney'|'benedetti'|'prime'}
+ */
+function limitCriterion() {
+    return d3.select('#ji-mode').property('value') === 'diamond' ? d3.select('#ji-limit-type').property('value') : 'odd';
+}
+
+/**
+ * Read the primes of the JI set: the ticked primes in #prime-checkboxes, or every listed
+ * prime up to the prime limit when that criterion is chosen.
+ * @returns {number[]}
+ */
+function readJIPrimes() {
+    const primeLimit = limitCriterion() === 'prime' ? parseInt(d3.select('#ji-prime-limit').property('value'), 10) : null;
+    return d3.selectAll('#prime-checkboxes input[type="checkbox"]')
         .nodes()
-        .filter(node => node.checked)
+        .filter(node => (primeLimit === null ? node.checked : parseInt(node.value, 10) <= primeLimit))
         .map(node => {
             try {
                 return parseInput(node.value, {
@@ -24,11 +67,19 @@ export function renderJI(svg, centerX, centerY, radius) {
             }
         })
         .filter(v => v !== null);
+}
+
+/**
+ * Read the JI controls: the primes (see readJIPrimes) and the odd limit.
+ * @returns {{primes: number[], oddLimit: number}|null} Null if the odd limit is invalid
+ *   (the error is shown next to the input).
+ */
+export function readJIControls() {
+    const primes = readJIPrimes();
 
     // Get the odd limit using robust validation
-    let oddLimit;
     try {
-        oddLimit = parseInput(
+        const oddLimit = parseInput(
             d3.select('#odd-limit-input').property('value'),
             {
                 type: 'int',
@@ -37,147 +88,313 @@ export function renderJI(svg, centerX, centerY, radius) {
                 label: 'Odd Limit'
             }
         );
+        return { primes, oddLimit };
     } catch (err) {
         showError('#odd-limit-input', err.message);
-        return;
+        return null;
     }
+}
 
-    // Check if dark mode is enabled
-    const darkModeEnabled = document.body.classList.contains('dark-mode');
-
-    // Define colors for primes
-    const primeColors = {
-        3: darkModeEnabled ? '#FF9999' : '#FF0000',   // Lighter red in dark mode
-        5: darkModeEnabled ? '#9999FF' : '#0000FF',   // Lighter blue
-        7: darkModeEnabled ? '#FFD580' : '#FFA500',   // Lighter orange
-        11: darkModeEnabled ? '#FF99FF' : '#800080',  // Lighter purple
-        13: darkModeEnabled ? '#80FF80' : '#008000',  // Lighter green
-        17: darkModeEnabled ? '#80FFFF' : '#00FFFF',  // Lighter cyan
-        19: darkModeEnabled ? '#FFFF80' : '#FFD700'   // Lighter gold
-    };
-
-    // Helper function to calculate GCD
-    function gcd(a, b) {
-        if (!b) return a;
-        return gcd(b, a % b);
+/**
+ * Read the harmonics of the series segment or chord chosen in the JI module.
+ * @param {string} mode - 'harmonic', 'subharmonic', 'otonal' or 'utonal'.
+ * @returns {number[]|null} Null if an input is invalid (the error is shown next to it).
+ */
+function readChordHarmonics(mode) {
+    if (mode === 'otonal' || mode === 'utonal') {
+        try {
+            const harmonics = parseChord(d3.select('#ji-chord-input').property('value'));
+            clearError('#ji-chord-input');
+            return harmonics;
+        } catch (err) {
+            showError('#ji-chord-input', err.message);
+            return null;
+        }
+    }
+    let from;
+    let to;
+    try {
+        from = parseInput(d3.select('#ji-series-from').property('value'), {
+            type: 'int',
+            min: 1,
+            selector: '#ji-series-from',
+            label: 'Lowest harmonic'
+        });
+        to = parseInput(d3.select('#ji-series-to').property('value'), {
+            type: 'int',
+            min: 1,
+            selector: '#ji-series-to',
+            label: 'Highest harmonic'
+        });
+    } catch (err) {
+        return null;
+    }
+    try {
+        return harmonicSegment(from, to);
+    } catch (err) {
+        showError('#ji-series-to', err.message);
+        return null;
     }
+}
 
-    // Helper function to get prime factors
-    function getPrimeFactors(n) {
-        const factors = [];
-        let divisor = 2;
-        while (n >= 2) {
-            if (n % divisor === 0) {
-                factors.push(divisor);
-                n = n / divisor;
-            } else {
-                divisor++;
-            }
+/**
+ * Read the bound of a limit criterion other than the odd limit.
+ * @param {'integer'|'numden'|'tenney'|'benedetti'|'prime'} criterion
+ * @returns {number|{numerator: number, denominator: number}|null} Null if an input is invalid
+ *   (the error is shown next to it).
+ */
+function readLimitBound(criterion) {
+    const read = ({ selector, ...options }) => parseInput(d3.select(selector).property('value'), { selector, ...options });
+    try {
+        if (criterion === 'numden') {
+            return { numerator: read(LIMIT_INPUTS.numerator), denominator: read(LIMIT_INPUTS.denominator) };
         }
-        // Return unique factors
-        return [...new Set(factors)];
+        return read(LIMIT_INPUTS[criterion]);
+    } catch (err) {
+        return null;
     }
+}
 
-    // Function to adjust fraction to within the octave and simplify
-    function reduceToOctave(numerator, denominator) {
-        // Adjust the fraction to be within [1, 2)
-        while (numerator / denominator >= 2) {
-            denominator *= 2;
+/**
+ * Generate the JI set chosen in the JI module, reduced to the period: the intervals within
+ * the chosen limit, or the tones and polygon sides of a harmonic/subharmonic series segment or otonal/utonal chord.
+ * @param {{cents: number, numerator?: number, denominator?: number}} period
+ * @returns {{intervals: Array<Object>, edges: Array<Object>}|null} Null if an input is invalid.
+ */
+function generateJI(period) {
+    const mode = d3.select('#ji-mode').property('value');
+    if (mode === 'diamond') {
+        const criterion = limitCriterion();
+        if (criterion === 'odd') {
+            const controls = readJIControls();
+            return controls ? { intervals: jiSet({ ...controls, period }), edges: [] } : null;
         }
-        while (numerator / denominator < 1) {
-            numerator *= 2;
+        const bound = readLimitBound(criterion);
+        if (bound === null) return null;
+        try {
+            return { intervals: jiLimitSet({ criterion, bound, primes: readJIPrimes(), period }), edges: [] };
+        } catch (err) {
+            showError(LIMIT_INPUTS[criterion === 'numden' ? 'numerator' : criterion].selector, err.message);
+            return null;
         }
-        // Simplify fraction
-        const gcdValue = gcd(numerator, denominator);
-        numerator = numerator / gcdValue;
-        denominator = denominator / gcdValue;
-        return { numerator, denominator };
     }
+    const harmonics = readChordHarmonics(mode);
+    if (!harmonics) return null;
+    const options = { utonal: mode === 'subharmonic' || mode === 'utonal', period };
+    const intervals = jiChord(harmonics, options);
+    return { intervals, edges: jiChordEdges(intervals, options) };
+}
 
-    // Generate JI intervals
-    let intervals = [];
-
-    for (let num = 1; num <= oddLimit; num += 2) {
-        for (let den = 1; den <= oddLimit; den += 2) {
-            if (num === den) continue;
+/**
+ * Short description of the JI set chosen in the JI module, for export captions and file names.
+ * @returns {{description: string, baseName: string}}
+ */
+export function describeJISet() {
+    const mode = d3.select('#ji-mode').property('value');
+    const from = d3.select('#ji-series-from').property('value');
+    const to = d3.select('#ji-series-to').property('value');
+    const chord = d3.select('#ji-chord-input').property('value').replace(/\s+/g, '');
+    switch (mode) {
+        case 'harmonic':
+            return { description: `Harmonics ${from}–${to}`, baseName: `ji_harmonics_${from}-${to}` };
+        case 'subharmonic':
+            return { description: `Subharmonics ${from}–${to}`, baseName: `ji_subharmonics_${from}-${to}` };
+        case 'otonal':
+            return { description: `Otonal chord ${chord}`, baseName: `ji_otonal_${chord.replace(/:/g, '-')}` };
+        case 'utonal':
+            return { description: `Utonal chord 1/(${chord})`, baseName: `ji_utonal_${chord.replace(/:/g, '-')}` };
+        default: {
+            const subgroup = [2, ...readJIPrimes()].join('.');
+            const value = selector => d3.select(selector).property('value');
+            const limits = {
+                odd: [`${value('#odd-limit-input')}-odd-limit JI`, `${value('#odd-limit-input')}-odd-limit`],
+                integer: [`${value('#ji-integer-limit')}-integer-limit JI`, `${value('#ji-integer-limit')}-integer-limit`],
+                numden: [
+                    `JI with numerators up to ${value('#ji-numerator-limit')} and denominators up to ${value('#ji-denominator-limit')}`,
+                    `n${value('#ji-numerator-limit')}-d${value('#ji-denominator-limit')}`
+                ],
+                tenney: [`JI up to Tenney height ${value('#ji-tenney-height')}`, `tenney-${value('#ji-tenney-height')}`],
+                benedetti: [`JI up to Benedetti height ${value('#ji-benedetti-height')}`, `benedetti-${value('#ji-benedetti-height')}`],
+                prime: [`JI with complexity up to ${value('#ji-complexity')}`, `complexity-${value('#ji-complexity')}`]
+            };
+            const [name, slug] = limits[limitCriterion()];
+            return { description: `${name}, subgroup ${subgroup}`, baseName: `ji_${slug}_${subgroup}` };
+        }
+    }
+}
 
-            const primeFactors = getPrimeFactors(num).concat(getPrimeFactors(den));
+/**
+ * Show the series, chord or limit inputs for the chosen JI mode and limit criterion.
+ */
+function syncJIMode() {
+    const mode = d3.select('#ji-mode').property('value');
+    const criterion = limitCriterion();
+    d3.select('#ji-series-group').classed('hidden', mode !== 'harmonic' && mode !== 'subharmonic');
+    d3.select('#ji-chord-group').classed('hidden', mode !== 'otonal' && mode !== 'utonal');
+    d3.select('#ji-limit-type-group').classed('hidden', mode !== 'diamond');
+    d3.select('#prime-checkboxes').classed('hidden', criterion === 'prime');
+    ['odd', 'integer', 'numden', 'tenney', 'benedetti', 'prime'].forEach(name => {
+        d3.select(`#ji-${name}-group`).classed('hidden', name !== criterion);
+    });
+}
 
-            // Check if all prime factors are in selectedPrimes
-            const allPrimesSelected = primeFactors.every(p => selectedPrimes.includes(p));
+/**
+ * Wire up the JI mode and limit selectors, the chord input and the Tenney height.
+ * @param {Object} options
+ * @param {function(): void} options.onChange - Re-renders after the mode, limit or chord changed.
+ * @returns {function(): void} Re-applies the chosen mode after restored state changes.
+ */
+export function initJIMode({ onChange }) {
+    d3.selectAll('#ji-mode, #ji-limit-type').on('change', () => {
+        syncJIMode();
+        onChange();
+    });
+    d3.select('#ji-prime-limit').on('change', onChange);
+    d3.selectAll('#ji-chord-input, #ji-tenney-height').on('input', function() {
+        clearTimeout(this.validationTimeout);
+        this.validationTimeout = setTimeout(onChange, 500);
+    });
+    syncJIMode();
+    return syncJIMode;
+}
 
-            if (allPrimesSelected) {
-                // Reduce the fraction to within the octave and simplify
-                let { numerator, denominator } = reduceToOctave(num, den);
+/**
+ * Color of a JI interval, from its highest prime.
+ * @param {{primes: number[]}} d
+ * @param {Object<number, string>} primeColors
+ * @param {boolean} darkModeEnabled
+ * @returns {string}
+ */
+export function intervalColor(d, primeColors, darkModeEnabled) {
+    const highestPrime = Math.max(...d.primes);
+    return primeColors[highestPrime] || (darkModeEnabled ? '#ffffff' : '#000000');
+}
 
-                const fractionValue = numerator / denominator;
-                const cents = 1200 * Math.log2(fractionValue);
+// Inputs the JI layer was last drawn from, and the intervals it drew then
+const inputsChanged = createChangeTracker();
+let lastIntervals = [];
 
-                intervals.push({
-                    cents: cents,
-                    primes: primeFactors,
-                    numerator: numerator,
-                    denominator: denominator,
-                    fraction: `${numerator}/${denominator}`
-                });
-            }
-        }
-    }
+/**
+ * Draw the JI set chosen in the JI module, reduced to the global period. Series segments and
+ * chords are also drawn as a polygon joining their tones, each side colored like its dyad.
+ * Spokes are joined to their elements by fraction, so intervals that stay in the set keep
+ * their element and those that leave fade out; nothing is redrawn while the JI controls,
+ * the period and the circle stay the same.
+ * @returns {Array<{cents: number, primes: number[], numerator?: number, denominator?: number, fraction: string, name: string, label: string, tooltip: string, color: string, complexity: number}>}
+ *   The rendered intervals with the texts and color the circle and the ruler share, or an
+ *   empty array if the input is invalid. complexity is the Tenney height log2(n·d).
+ */
+export function renderJI(svg, centerX, centerY, radius) {
+    const jiGroup = ensureGroup(svg, 'ji-group');
 
-    // Remove duplicates based on cents value
-    intervals = intervals.filter((interval, index, self) =>
-        index === self.findIndex((t) => Math.abs(t.cents - interval.cents) < 1e-6)
-    );
+    // Check if dark mode is enabled
+    const darkModeEnabled = document.body.classList.contains('dark-mode');
 
     // Handle labels
     const alwaysOn = d3.select('#always-on-checkbox').property('checked');
 
-    // Draw JI lines
-    const jiLines = svg.select('#ji-group').selectAll('line')
-        .data(intervals)
-        .enter()
-        .append('line')
-        .attr('class', 'ji-line')
+    // Keep the drawing if nothing it depends on changed
+    const period = getPeriod();
+    const inputs = [controlValues('#ji-controls'), period.cents, darkModeEnabled, alwaysOn, centerX, centerY, radius];
+    if (!inputsChanged(inputs) && jiGroup.node().hasChildNodes()) {
+        return lastIntervals;
+    }
+
+    // Generate JI intervals
+    const generated = generateJI(period);
+    if (!generated) {
+        clearGroup(jiGroup);
+        lastIntervals = [];
+        return [];
+    }
+    const { edges } = generated;
+
+    // Define colors for primes
+    const primeColors = getPrimeColors(darkModeEnabled);
+
+    const intervals = generated.intervals.map(d => ({
+        ...d,
+        name: d.fraction,
+        label: `${d.fraction}\n${d.cents.toFixed(2)}¢`,
+        tooltip: `Interval: ${d.fraction}<br>${d.cents.toFixed(2)}¢` + (d.harmonic ? `<br>Harmonic ${d.harmonic}` : ''),
+        color: intervalColor(d, primeColors, darkModeEnabled),
+        complexity: Math.log2(d.fraction.split('/').reduce((product, part) => product * Number(part), 1))
+    }));
+
+    const position = (cents, r = radius) => {
+        const angle = (cents / period.cents) * 2 * Math.PI - Math.PI / 2;
+        return [centerX + r * Math.cos(angle), centerY + r * Math.sin(angle)];
+    };
+    const pointX = d => position(d.cents)[0];
+    const pointY = d => position(d.cents)[1];
+
+    // Draw the chord polygon below the spokes: a faint fill, then one side per dyad
+    jiGroup.selectAll('path.ji-chord-polygon')
+        .data(edges.length ? [intervals] : [])
+        .join(
+            enter => enter.insert('path', ':first-child').attr('class', 'ji-chord-polygon'),
+            update => cancelExit(update),
+            exit => fadeOutAndRemove(exit)
+        )
+        .attr('d', d => d3.line().x(pointX).y(pointY)(d) + 'Z');
+    const sides = jiGroup.selectAll('line.ji-chord-edge')
+        .data(edges, d => `${d.from.fraction}-${d.to.fraction}`)
+        .join(
+            enter => enter.insert('line', 'line.ji-line')
+                .attr('class', 'ji-chord-edge')
+                .attr('stroke-width', 3),
+            update => cancelExit(update),
+            exit => fadeOutAndRemove(exit)
+        )
+        .attr('x1', d => pointX(d.from))
+        .attr('y1', d => pointY(d.from))
+        .attr('x2', d => pointX(d.to))
+        .attr('y2', d => pointY(d.to))
+        .attr('stroke', d => intervalColor(d, primeColors, darkModeEnabled));
+    attachTooltipHandlers(sides, d => `Dyad ${d.fraction} (${d.from.fraction} → ${d.to.fraction})<br>${d.cents.toFixed(2)}¢`);
+
+    // Draw JI lines, keyed by fraction
+    const jiLines = jiGroup.selectAll('line.ji-line')
+        .data(intervals, d => d.fraction)
+        .join(
+            enter => enter.append('line')
+                .attr('class', 'ji-line')
+                .attr('stroke-width', 2),
+            update => cancelExit(update),
+            exit => fadeOutAndRemove(exit)
+        )
         .attr('x1', centerX)
         .attr('y1', centerY)
-        .attr('x2', d => {
-            const angle = (d.cents / 1200) * 2 * Math.PI - Math.PI / 2;
-            return centerX + radius * Math.cos(angle);
-        })
-        .attr('y2', d => {
-            const angle = (d.cents / 1200) * 2 * Math.PI - Math.PI / 2;
-            return centerY + radius * Math.sin(angle);
-        })
-        .attr('stroke', d => {
-            // Get the highest prime factor for color coding
-            const highestPrime = Math.max(...d.primes);
-            return primeColors[highestPrime] || (darkModeEnabled ? '#ffffff' : '#000000');
-        })
-        .attr('stroke-width', 2);
+        .attr('stroke', d => d.color)
+        .call(slideToPitch, { getCents: d => d.cents, periodCents: period.cents, position, attrs: ['x2', 'y2'] });
+
+    // Click to play, shift-click to add to the chord selection
+    attachPitchHandlers(jiLines, 'ji', d => d.cents, d => d.name);
 
+    // Labels are drawn again at the final positions, where the layout places them
+    jiGroup.selectAll('text.chart-label, line.label-leader').remove();
     if (alwaysOn) {
+        detachTooltipHandlers(jiLines);
         // Display labels for all intervals using shared utility
         renderLabels({
-            selection: svg.select('#ji-group'),
+            selection: jiGroup,
             data: intervals,
-            getText: d => `${d.fraction}\n${d.cents.toFixed(2)}¢`,
-            getX: d => {
-                const angle = (d.cents / 1200) * 2 * Math.PI - Math.PI / 2;
-                return centerX + (radius + 10) * Math.cos(angle);
-            },
-            getY: d => {
-                const angle = (d.cents / 1200) * 2 * Math.PI - Math.PI / 2;
-                return centerY + (radius + 10) * Math.sin(angle);
-            },
+            getText: d => d.label,
+            getX: d => position(d.cents, radius + 10)[0],
+            getY: d => position(d.cents, radius + 10)[1],
+            getAnchor: d => [pointX(d), pointY(d)],
+            center: [centerX, centerY],
+            layer: 'ji',
+            getComplexity: d => d.complexity,
             fontSize: '10px',
             fill: 'var(--text-color)',
             anchor: 'middle'
         });
     } else {
         // Attach tooltip event handlers using shared utility
-        attachTooltipHandlers(
-            jiLines,
-            d => `Interval: ${d.fraction}<br>${d.cents.toFixed(2)}¢`
-        );
+        attachTooltipHandlers(jiLines, d => d.tooltip);
     }
+
+    lastIntervals = intervals;
+    return intervals;
 }
@@ -0,0 +1,233 @@
+// lattice.js
+// JI lattice view: the intervals drawn by the JI layer placed by their prime exponents, with
+// pan and zoom, hover linked to the circle's spokes, and comma vectors drawn as arrows
+import { attachTooltipHandlers, showError, clearError, createChangeTracker, controlValues } from './utils.js';
+import { getPrimeColors, intervalColor } from './ji.js';
+import { getPeriod, periodName } from './period.js';
+import {
+    parseCommas, latticeEquivalencePrime, latticeExponents, latticeKey, latticePosition, latticeEdges
+} from './theory/index.js';
+
+// Pixels per lattice unit before zooming
+const UNIT = 80;
+
+// The lattice SVG, the group that pan and zoom transform, and the zoom behavior; set by initLattice
+let latticeSvg = null;
+let viewport = null;
+let zoom = null;
+
+// Inputs the lattice was last drawn from
+const inputsChanged = createChangeTracker();
+
+/**
+ * Whether the lattice view is shown.
+ * @returns {boolean}
+ */
+function isShown() {
+    return d3.select('#lattice-toggle').property('checked');
+}
+
+/**
+ * Write exponents as a product of prime powers, e.g. "3⁴ · 5⁻¹".
+ * @param {Array<[number, number]>} exponents
+ * @returns {string}
+ */
+function formatExponents(exponents) {
+    const superscript = value => String(value).replace(/-/g, '⁻').replace(/\d/g, digit => '⁰¹²³⁴⁵⁶⁷⁸⁹'[digit]);
+    return exponents.length ? exponents.map(([prime, exponent]) => `${prime}${superscript(exponent)}`).join(' · ') : '1';
+}
+
+/**
+ * Highlight the lattice point and circle spoke of one pitch, or clear the highlight.
+ * @param {number|null} cents
+ */
+function highlightPitch(cents) {
+    const matches = d => cents !== null && Math.abs(d.cents - cents) < 1e-6;
+    d3.selectAll('#ji-group line.ji-line').classed('ji-line--linked', matches);
+    if (viewport) viewport.selectAll('circle.lattice-node').classed('lattice-node--linked', matches);
+}
+
+/**
+ * Link the circle's JI spokes to the lattice, so hovering one highlights its lattice point.
+ */
+function linkSpokes() {
+    d3.selectAll('#ji-group line.ji-line')
+        .on('mouseover.lattice', (event, d) => highlightPitch(d.cents))
+        .on('mouseout.lattice', () => highlightPitch(null));
+}
+
+/**
+ * Read the commas to draw as arrows; an empty input draws none.
+ * @returns {Array<{numerator: number, denominator: number}>}
+ */
+function readCommas() {
+    const text = d3.select('#lattice-commas-input').property('value').trim();
+    if (!text) {
+        clearError('#lattice-commas-input');
+        return [];
+    }
+    try {
+        const commas = parseCommas(text);
+        clearError('#lattice-commas-input');
+        return commas;
+    } catch (err) {
+        showError('#lattice-commas-input', err.message);
+        return [];
+    }
+}
+
+/**
+ * Draw the JI intervals on the lattice, joined by one-prime steps colored like that prime,
+ * with the 1/1 at the center and each comma as an arrow from it. Hovering a point highlights
+ * its spoke on the circle and the other way round. Nothing is redrawn while the intervals,
+ * the commas, the period and the size of the view stay the same.
+ * @param {Array<{cents: number, primes: number[], fraction: string}>} intervals - Intervals drawn by the JI layer.
+ */
+export function renderLattice(intervals) {
+    if (!viewport) return;
+    if (!isShown()) {
+        viewport.selectAll('*').remove();
+        inputsChanged(null);
+        return;
+    }
+
+    const node = latticeSvg.node();
+    const width = node.clientWidth || 400;
+    const height = node.clientHeight || 300;
+    const darkModeEnabled = document.body.classList.contains('dark-mode');
+    const period = getPeriod();
+
+    // Keep the drawing if nothing it depends on changed; spokes the JI layer added still need linking
+    const inputs = [intervals.map(d => [d.fraction, d.cents, d.primes]), controlValues('#lattice-controls'),
+        darkModeEnabled, period.cents, period.numerator, period.denominator, width, height];
+    if (!inputsChanged(inputs) && viewport.node().hasChildNodes()) {
+        linkSpokes();
+        return;
+    }
+    viewport.selectAll('*').remove();
+    latticeSvg.attr('viewBox', `0 0 ${width} ${height}`);
+
+    const primeColors = getPrimeColors(darkModeEnabled);
+    const equivalencePrime = latticeEquivalencePrime(period);
+    const toPoint = (numerator, denominator) => {
+        const exponents = latticeExponents(numerator, denominator, equivalencePrime);
+        const { x, y } = latticePosition(exponents);
+        return { exponents, x: width / 2 + x * UNIT, y: height / 2 - y * UNIT };
+    };
+
+    // Every interval is placed by its ratio as written; the 1/1 anchors the center
+    const points = [{ cents: 0, primes: [], fraction: '1/1' }, ...intervals]
+        .map(interval => {
+            const [numerator, denominator] = interval.fraction.split('/').map(Number);
+            return { ...interval, ...toPoint(numerator, denominator) };
+        })
+        .filter((point, i, all) => all.findIndex(other => latticeKey(other.exponents) === latticeKey(point.exponents)) === i);
+
+    viewport.selectAll('line.lattice-edge')
+        .data(latticeEdges(points))
+        .enter()
+        .append('line')
+        .attr('class', 'lattice-edge')
+        .attr('x1', d => d.source.x)
+        .attr('y1', d => d.source.y)
+        .attr('x2', d => d.target.x)
+        .attr('y2', d => d.target.y)
+        .attr('stroke', d => primeColors[d.prime] || (darkModeEnabled ? '#ffffff' : '#000000'));
+
+    const commas = readCommas().map(comma => ({
+        fraction: `${comma.numerator}/${comma.denominator}`,
+        ...toPoint(comma.numerator, comma.denominator)
+    }));
+    const arrows = viewport.selectAll('g.lattice-comma')
+        .data(commas)
+        .enter()
+        .append('g')
+        .attr('class', 'lattice-comma');
+    arrows.append('line')
+        .attr('x1', width / 2)
+        .attr('y1', height / 2)
+        .attr('x2', d => d.x)
+        .attr('y2', d => d.y)
+        .attr('marker-end', 'url(#lattice-arrow)');
+    arrows.append('text')
+        .attr('x', d => d.x)
+        .attr('y', d => d.y - 8)
+        .attr('text-anchor', 'middle')
+        .text(d => d.fraction);
+    attachTooltipHandlers(arrows, d => `Comma ${d.fraction}<br>${formatExponents(d.exponents)}`);
+
+    const nodes = viewport.selectAll('circle.lattice-node')
+        .data(points)
+        .enter()
+        .append('circle')
+        .attr('class', 'lattice-node')
+        .attr('cx', d => d.x)
+        .attr('cy', d => d.y)
+        .attr('r', 6)
+        .attr('fill', d => intervalColor(d, primeColors, darkModeEnabled));
+
+    viewport.selectAll('text.lattice-label')
+        .data(points)
+        .enter()
+        .append('text')
+        .attr('class', 'lattice-label')
+        .attr('x', d => d.x)
+        .attr('y', d => d.y + 18)
+        .attr('text-anchor', 'middle')
+        .text(d => d.fraction);
+
+    attachTooltipHandlers(nodes, d =>
+        `Interval: ${d.fraction}<br>${d.cents.toFixed(2)}¢<br>${formatExponents(d.exponents)}` +
+        (equivalencePrime === 2 ? '' : ` (${periodName(period)}-equivalent)`)
+    );
+    nodes
+        .on('mouseover.lattice', (event, d) => highlightPitch(d.cents))
+        .on('mouseout.lattice', () => highlightPitch(null));
+    linkSpokes();
+}
+
+/**
+ * Create the lattice view and wire up its controls.
+ * @param {Object} options
+ * @param {function(): void} options.onToggle - Called after the view was shown or hidden, to
+ *   resize the circle and redraw.
+ * @param {function(): void} options.onChange - Redraws the lattice after the commas changed.
+ * @returns {function(): void} Shows or hides the view to match the toggle after restored state changes.
+ */
+export function initLattice({ onToggle, onChange }) {
+    latticeSvg = d3.select('#lattice-view')
+        .append('svg')
+        .attr('preserveAspectRatio', 'xMidYMid meet');
+    latticeSvg.append('defs')
+        .append('marker')
+        .attr('id', 'lattice-arrow')
+        .attr('viewBox', '0 0 10 10')
+        .attr('refX', 9)
+        .attr('refY', 5)
+        .attr('markerWidth', 8)
+        .attr('markerHeight', 8)
+        .attr('orient', 'auto-start-reverse')
+        .append('path')
+        .attr('class', 'lattice-arrowhead')
+        .attr('d', 'M 0 0 L 10 5 L 0 10 z');
+    viewport = latticeSvg.append('g').attr('class', 'lattice-viewport');
+
+    zoom = d3.zoom()
+        .scaleExtent([0.25, 8])
+        .on('zoom', event => viewport.attr('transform', event.transform));
+    latticeSvg.call(zoom);
+
+    const syncView = () => d3.select('#lattice-view').classed('hidden', !isShown());
+    d3.select('#lattice-toggle').on('change', () => {
+        syncView();
+        onToggle();
+    });
+    d3.select('#lattice-commas-input').on('input', function() {
+        clearTimeout(this.validationTimeout);
+        this.validationTimeout = setTimeout(onChange, 500);
+    });
+    d3.select('#lattice-reset-button').on('click', () => latticeSvg.call(zoom.transform, d3.zoomIdentity));
+
+    syncView();
+    return syncView;
+}
@@ -1,9 +1,29 @@
 // main.js
 
 import { renderEDO } from './edo.js';
-import { renderJI } from './ji.js';
-import { renderMOS, convertToCents } from './mos.js';
-import { showError, clearError, ensureGroup, clearGroup, throttleAnimationFrame } from './utils.js';
+import { renderJI, initJIMode } from './ji.js';
+import { renderMOS, getRenderedMosLayers } from './mos.js';
+import { renderCustom, setCustomScale, getCustomScale } from './custom.js';
+import { renderApproximation } from './approximation.js';
+import { renderTemperament, initTemperament } from './temperament.js';
+import { renderLattice, initLattice } from './lattice.js';
+import { renderRuler, initRuler } from './ruler.js';
+import { initCircleZoom, getCircleTransform, updateLens } from './circleZoom.js';
+import { convertToCents, parseScl, formatSclPitch } from './theory/index.js';
+import { enableAudio, disableAudio, isAudioEnabled, playChord, startDrone, stopDrone, isDroneActive } from './sound.js';
+import { onSelectionChange, getSelectedCents, clearSelection } from './selection.js';
+import { buildSequence, startSequence, stopSequence, isSequencePlaying } from './transport.js';
+import { restoreStateFromHash, writeStateToHash, applyState } from './urlState.js';
+import { initPresetManager } from './presets.js';
+import { initScalaExport } from './scalaExport.js';
+import { initImageExport } from './imageExport.js';
+import { initEdoRanking } from './edoRanking.js';
+import { initMosFamily } from './mosFamily.js';
+import { renderMosModes } from './mosModes.js';
+import { initStepRatioEntry } from './stepRatio.js';
+import { initMosLayers, commitMosEditor, setMosStackCount } from './mosLayers.js';
+import { getPeriod } from './period.js';
+import { showError, clearError, ensureGroup, clearGroup, throttleAnimationFrame, parseInput, showGlobalError, clearGlobalError } from './utils.js';
 
 // Get the visualization container
 const container = document.getElementById('visualization');
@@ -34,52 +54,351 @@ svg.append('circle')
 
 // Create groups for organizing SVG elements using shared utilities
 const jiGroup = ensureGroup(svg, 'ji-group');
+const customGroup = ensureGroup(svg, 'custom-group');
+const approxGroup = ensureGroup(svg, 'approx-group');
+const temperamentGroup = ensureGroup(svg, 'temperament-group');
 const edoGroup = ensureGroup(svg, 'edo-group');
 const mosGroup = ensureGroup(svg, 'mos-group');
 // Inside edoGroup, create subgroups for lines and points
 const linesGroup = ensureGroup(edoGroup, 'lines-group');
 const pointsGroup = ensureGroup(edoGroup, 'points-group');
+// The scale playback playhead is drawn above every layer
+const playheadGroup = ensureGroup(svg, 'playhead-group');
+
+// Pitches most recently drawn by each layer ({ cents, name, label, tooltip, color, complexity } plus
+// numerator/denominator for JI), used for the ruler view, scale playback and export
+const renderedScales = { edo: [], ji: [], mos: [], custom: [] };
+
+// Pitch currently highlighted by the playhead, or null when playback is stopped
+let playheadCents = null;
+
+// Refreshes the MOS family panel; replaced once the panel is initialized below
+let refreshMosFamily = () => {};
 
 // Function to update all visualizations
 function updateVisualizations() {
     // Always use current centerX, centerY, and radius values
-    // Update EDO visualization
-    clearGroup(linesGroup);
-    clearGroup(pointsGroup);
-    renderEDO(svg, linesGroup, pointsGroup, centerX, centerY, radius);
+    // Update EDO visualization; the EDO, JI and MOS layers update their own elements and
+    // keep them while their inputs are unchanged
+    renderedScales.edo = renderEDO(svg, linesGroup, pointsGroup, centerX, centerY, radius).map(edoPitch);
 
     // Update JI visualization
-    clearGroup(jiGroup);
-    renderJI(svg, centerX, centerY, radius);
+    renderedScales.ji = renderJI(svg, centerX, centerY, radius);
+
+    // Update custom scale visualization
+    clearGroup(customGroup);
+    renderedScales.custom = renderCustom(svg, centerX, centerY, radius);
+
+    updateJIComparisons();
 
-    // Update MOS visualization
-    clearGroup(mosGroup);
+    // Update MOS visualization, first storing the MOS controls in the layer they edit
+    commitMosEditor();
+    renderedScales.mos = [];
     if (d3.select('#mos-toggle').property('checked')) {
-        renderMOS(svg, centerX, centerY, radius);
+        renderedScales.mos = renderMOS(svg, centerX, centerY, radius);
         // Move mosGroup to the end to bring it to the front
         mosGroup.raise();
+    } else {
+        clearGroup(mosGroup);
     }
+    renderMosModes(renderedScales.mos, { onSelect: selectMosMode });
+
+    drawPlayhead();
+    updatePitchViews();
+    refreshMosFamily();
+
+    // Keep the shareable link in sync with what is on screen
+    writeStateToHash();
 }
 
-// The default mode is now set in the HTML with class="dark-mode" on the body tag
+/**
+ * Keep what the ruler view needs from a step drawn by the EDO layer.
+ * @param {Object} d - Step returned by renderEDO.
+ * @returns {{cents: number, name: string, label: string, tooltip: string, color: string, complexity: number}}
+ */
+function edoPitch({ angle, name, label, tooltip, color, complexity }) {
+    return { cents: angle, name, label, tooltip, color, complexity };
+}
+
+/**
+ * Hand the pitches drawn by every layer to the ruler view, one track per layer and per MOS
+ * layer, and to the magnifier lens.
+ */
+function updatePitchViews() {
+    const mosLayers = d3.select('#mos-toggle').property('checked') ? getRenderedMosLayers() : [];
+    const tracks = [
+        { key: 'edo', name: 'EDO', pitches: renderedScales.edo },
+        { key: 'ji', name: 'JI', pitches: renderedScales.ji },
+        ...mosLayers.map(layer => ({ key: 'mos', name: layer.name, pitches: layer.notes })),
+        { key: 'custom', name: 'Custom', pitches: renderedScales.custom }
+    ].filter(track => track.pitches.length);
+    renderRuler(tracks);
+    updateLens(tracks.flatMap(track => track.pitches), { centerX, centerY, radius });
+}
+
+/**
+ * Make the tonic of the mode on the given stack the 1/1 of the MOS layer.
+ * @param {number} tonicStack
+ */
+function selectMosMode(tonicStack) {
+    d3.select('#mos-mode-input').property('value', tonicStack);
+    updateVisualizations();
+}
+
+/**
+ * Compare the drawn JI intervals with the drawn EDO steps.
+ */
+function updateApproximation() {
+    renderApproximation(svg, centerX, centerY, radius, {
+        intervals: renderedScales.ji,
+        divisions: renderedScales.edo.length
+    });
+}
+
+/**
+ * Redraw everything derived from the drawn JI intervals.
+ */
+function updateJIComparisons() {
+    updateApproximation();
+    updateTemperament();
+    updateLattice();
+}
 
-// Set the dark mode button text to match the current mode (Light Mode by default in dark mode)
+/**
+ * Place the drawn JI intervals on the lattice view.
+ */
+function updateLattice() {
+    renderLattice(renderedScales.ji);
+}
+
+/**
+ * Temper the drawn JI intervals with the period and the MOS generator.
+ */
+function updateTemperament() {
+    renderTemperament(svg, centerX, centerY, radius, { intervals: renderedScales.ji });
+}
+
+/**
+ * Draw the playhead spoke and dot at playheadCents, or clear it when playback is stopped.
+ */
+function drawPlayhead() {
+    clearGroup(playheadGroup);
+    playheadGroup.raise();
+    if (playheadCents === null) return;
+
+    const period = getPeriod();
+    const angle = (playheadCents / period.cents) * 2 * Math.PI - Math.PI / 2;
+    const x = centerX + radius * Math.cos(angle);
+    const y = centerY + radius * Math.sin(angle);
+
+    playheadGroup.append('line')
+        .attr('class', 'playhead-line')
+        .attr('x1', centerX)
+        .attr('y1', centerY)
+        .attr('x2', x)
+        .attr('y2', y);
+
+    playheadGroup.append('circle')
+        .attr('class', 'playhead-point')
+        .attr('cx', x)
+        .attr('cy', y)
+        .attr('r', 8);
+}
+
+// Restore any configuration shared through the URL hash before the first render
+restoreStateFromHash();
+
+// Derive the MOS generator and stacks from a pattern and step ratio when that entry mode is chosen
+const refreshStepRatio = initStepRatioEntry({
+    onChange: () => {
+        syncMosSliderToInput();
+        updateVisualizations();
+    }
+});
+
+// Draw several MOS layers; the MOS controls edit the selected one
+initMosLayers({
+    onSelect: () => {
+        // The selected layer keeps its own generator, so leave pattern-and-step-ratio entry
+        d3.select('#mos-entry-mode').property('value', 'generator');
+        refreshStepRatio();
+        syncMosSliderToInput();
+        updateVisualizations();
+    },
+    onChange: updateVisualizations
+});
+
+// The default mode is now set in the HTML with class="dark-mode" on the body tag
 const darkModeButton = document.getElementById('dark-mode-button');
-darkModeButton.textContent = 'Light Mode';
+
+// Set the dark mode button text to match the current mode (Light Mode when in dark mode)
+function syncDarkModeButton() {
+    darkModeButton.textContent = document.body.classList.contains('dark-mode') ? 'Light Mode' : 'Dark Mode';
+}
+syncDarkModeButton();
 
 // Event listener for dark mode toggle button
 darkModeButton.addEventListener('click', function() {
-    if (document.body.classList.contains('dark-mode')) {
-        document.body.classList.remove('dark-mode');
-        darkModeButton.textContent = 'Dark Mode';
-    } else {
-        document.body.classList.add('dark-mode');
-        darkModeButton.textContent = 'Light Mode';
-    }
+    document.body.classList.toggle('dark-mode');
+    syncDarkModeButton();
     // Re-render visualizations to update colors
     updateVisualizations();
 });
 
+// Audio must be enabled by an explicit click to satisfy browser autoplay policies
+const audioEnableButton = document.getElementById('audio-enable-button');
+
+/**
+ * Show on the button and the circle whether audio is on, and bring the drone back if it is
+ * still checked (disabling audio silences it).
+ */
+function syncAudioButton() {
+    const enabled = isAudioEnabled();
+    audioEnableButton.textContent = enabled ? 'Disable Audio' : 'Enable Audio';
+    audioEnableButton.setAttribute('aria-pressed', String(enabled));
+    d3.select('#visualization').classed('audio-enabled', enabled);
+    if (enabled && d3.select('#sound-drone-checkbox').property('checked')) {
+        startDrone();
+    }
+}
+
+audioEnableButton.addEventListener('click', function() {
+    if (isAudioEnabled()) {
+        disableAudio();
+        syncAudioButton();
+        return;
+    }
+    // Start audio within the click, but only switch the button once the browser has
+    // actually resumed it; creating the AudioContext can also throw
+    let resumed;
+    try {
+        resumed = enableAudio();
+    } catch (err) {
+        resumed = Promise.reject(err);
+    }
+    resumed.then(syncAudioButton, err => {
+        disableAudio();
+        syncAudioButton();
+        showGlobalError(`Could not enable audio: ${err.message}`);
+    });
+});
+
+// Sustained 1/1 drone for judging intervals against the root
+d3.select('#sound-drone-checkbox').on('change', function() {
+    if (this.checked) {
+        startDrone();
+    } else {
+        stopDrone();
+    }
+});
+
+// Restart the drone so it follows changes to the sound settings
+d3.selectAll('#sound-waveform, #sound-reference-input, #sound-volume-slider').on('change', function() {
+    if (isDroneActive()) {
+        startDrone();
+    }
+});
+
+// Chord selection playback
+d3.select('#play-chord-button').on('click', () => playChord(getSelectedCents(), { mode: 'chord' }));
+d3.select('#play-arpeggio-button').on('click', () => playChord(getSelectedCents(), { mode: 'arpeggio' }));
+d3.select('#clear-selection-button').on('click', clearSelection);
+
+// Scale playback transport
+const playScaleButton = document.getElementById('play-scale-button');
+
+function setPlayScaleButtonState(playing) {
+    playScaleButton.textContent = playing ? 'Stop' : 'Play Scale';
+    playScaleButton.setAttribute('aria-pressed', String(playing));
+}
+
+playScaleButton.addEventListener('click', function() {
+    if (isSequencePlaying()) {
+        stopSequence();
+        return;
+    }
+
+    let tempo;
+    try {
+        tempo = parseInput(d3.select('#playback-tempo-input').property('value'), {
+            type: 'float',
+            min: 20,
+            max: 600,
+            selector: '#playback-tempo-input',
+            label: 'Tempo'
+        });
+    } catch (err) {
+        return;
+    }
+
+    const source = d3.select('#playback-source').property('value');
+    const direction = d3.select('#playback-direction').property('value');
+    // Custom scales repeat at their own period rather than the global one
+    const period = source === 'custom' && getCustomScale() ? getCustomScale().period.cents : getPeriod().cents;
+    const sequence = buildSequence(renderedScales[source].map(pitch => pitch.cents), direction, period);
+
+    setPlayScaleButtonState(true);
+    startSequence(sequence, {
+        tempo,
+        onStep: cents => {
+            playheadCents = cents;
+            drawPlayhead();
+        },
+        onEnd: () => {
+            playheadCents = null;
+            drawPlayhead();
+            setPlayScaleButtonState(false);
+        }
+    });
+});
+
+// Custom scale import from a .scl file or pasted text
+function loadCustomScale(text, name) {
+    try {
+        const scale = parseScl(text);
+        setCustomScale({ name, ...scale });
+        clearError('#custom-scl-text');
+        clearGlobalError();
+        d3.select('#custom-scale-status').text(
+            `${name}: ${scale.pitches.length + 1} notes, period ${formatSclPitch(scale.period)}`
+        );
+        updateVisualizations();
+    } catch (err) {
+        showError('#custom-scl-text', err.message);
+        showGlobalError(`Could not load ${name}: ${err.message}`);
+    }
+}
+
+d3.select('#custom-scl-load-button').on('click', () => {
+    loadCustomScale(d3.select('#custom-scl-text').property('value'), 'Pasted scale');
+});
+
+d3.select('#custom-scl-file').on('change', function() {
+    const file = this.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+        d3.select('#custom-scl-text').property('value', reader.result);
+        loadCustomScale(reader.result, file.name);
+    };
+    reader.readAsText(file);
+});
+
+d3.select('#custom-color-input').on('input', updateVisualizations);
+
+// Sound, playback, ranking and tree settings do not re-render, so store them in the link on change
+d3.selectAll('#audio-controls select, #audio-controls input, #playback-controls select, #playback-controls input, #rank-controls input, #mos-tree-depth, #mos-entry-mode')
+    .on('change.urlstate', writeStateToHash);
+
+onSelectionChange(selection => {
+    const hasSelection = selection.length > 0;
+    d3.select('#sound-selection-list').text(
+        hasSelection ? selection.map(note => note.label).join(', ') : 'None'
+    );
+    d3.selectAll('#play-chord-button, #play-arpeggio-button, #clear-selection-button')
+        .property('disabled', !hasSelection);
+});
+
 // Config-driven checkbox event binding (now includes JI prime checkboxes)
 
 const checkboxConfigs = [
@@ -88,6 +407,9 @@ const checkboxConfigs = [
   { selector: '#edo-lines', handler: updateVisualizations },
   { selector: '#prime-checkboxes input[type=checkbox]', handler: updateVisualizations },
   { selector: '#mos-toggle', handler: updateVisualizations },
+  { selector: '#custom-toggle', handler: updateVisualizations },
+  { selector: '#approx-toggle', handler: updateApproximation },
+  { selector: '#temperament-toggle', handler: updateTemperament },
   // Add more checkboxes and handlers here as needed
 ];
 
@@ -107,10 +429,13 @@ function updateDimensions() {
   // Update SVG viewBox
   svg.attr('viewBox', `0 0 ${width} ${height}`);
   
-  // Recalculate center and radius
-  centerX = width / 2;
-  centerY = height / 2;
-  radius = Math.min(width, height) / 2 - 50;
+  // Recalculate center and radius, then move and grow the circle by its zoom and pan
+  const transform = getCircleTransform();
+  resizeCircleZoom(width, height);
+  centerX = transform.applyX(width / 2);
+  centerY = transform.applyY(height / 2);
+  // The circle's container has no size while the ruler view replaces it
+  radius = Math.max(Math.min(width, height) / 2 - 50, 0) * transform.k;
   
   // Update the main circle position and size immediately for smooth resizing
   svg.select('.main-circle')
@@ -128,6 +453,25 @@ function updateDimensions() {
 const throttledUpdateDimensions = throttleAnimationFrame(updateDimensions);
 window.addEventListener('resize', throttledUpdateDimensions);
 
+// Zoom and pan the circle with the wheel, pinch or drag, redrawing at most once per frame
+const resizeCircleZoom = initCircleZoom({
+  svg,
+  onZoom: throttledUpdateDimensions,
+  onLensToggle: writeStateToHash
+});
+
+// Show the JI lattice view below the circle when it is switched on
+const refreshLattice = initLattice({ onToggle: updateDimensions, onChange: updateLattice });
+
+// Switch between the circle and the linear ruler view
+const refreshRuler = initRuler({
+  onToggle: updateDimensions,
+  onChange: () => {
+    updatePitchViews();
+    writeStateToHash();
+  }
+});
+
 // Initial rendering
 updateDimensions();
 
@@ -146,22 +490,71 @@ const inputConfigs = [
     type: 'positiveInt',
     allowZero: true
   },
+  {
+    selector: '#mos-stacks-down-input',
+    type: 'positiveInt',
+    allowZero: true
+  },
   {
     selector: '#odd-limit-input',
     type: 'oddPositiveInt',
     allowZero: false
   },
+  {
+    selector: '#ji-series-from',
+    type: 'positiveInt',
+    allowZero: false
+  },
+  {
+    selector: '#ji-series-to',
+    type: 'positiveInt',
+    allowZero: false
+  },
+  {
+    selector: '#ji-integer-limit',
+    type: 'positiveInt',
+    allowZero: false
+  },
+  {
+    selector: '#ji-numerator-limit',
+    type: 'positiveInt',
+    allowZero: false
+  },
+  {
+    selector: '#ji-denominator-limit',
+    type: 'positiveInt',
+    allowZero: false
+  },
+  {
+    selector: '#ji-benedetti-height',
+    type: 'positiveInt',
+    allowZero: false
+  },
+  {
+    selector: '#ji-complexity',
+    type: 'positiveInt',
+    allowZero: false
+  },
   {
     selector: '#mos-generator-input',
     type: 'mos'
+  },
+  {
+    selector: '#period-input',
+    type: 'interval'
   }
 ];
 
-function handleInput(e, config) {
-  let val = e.target.value;
+/**
+ * Filter and correct an input's value in place according to its inputConfigs entry.
+ * @param {HTMLInputElement} input
+ * @param {Object} config - Entry from inputConfigs.
+ */
+function sanitizeInput(input, config) {
+  let val = input.value;
 
   // Filter characters
-  if (config.type === 'mos') {
+  if (config.type === 'mos' || config.type === 'interval') {
     val = val.replace(/[^0-9.\\/\-]/g, ''); // Only allow digits, dot, minus, backslash, slash
   } else {
     val = val.replace(/[^0-9]/g, ''); // Only allow digits
@@ -177,25 +570,52 @@ function handleInput(e, config) {
   }
 
   // Set the corrected value
-  e.target.value = val;
+  input.value = val;
+}
+
+// Number inputs that only change the JI layer and what is compared with it
+const jiInputSelectors = [
+  '#odd-limit-input',
+  '#ji-series-from',
+  '#ji-series-to',
+  '#ji-integer-limit',
+  '#ji-numerator-limit',
+  '#ji-denominator-limit',
+  '#ji-benedetti-height',
+  '#ji-complexity'
+];
+
+function handleInput(e, config) {
+  sanitizeInput(e.target, config);
 
   // Trigger visualization update if needed
   if (config.selector === '#edo-input' || config.selector === '#edo-lines') {
-    linesGroup.selectAll('*').remove();
-    pointsGroup.selectAll('*').remove();
-    renderEDO(svg, linesGroup, pointsGroup, centerX, centerY, radius);
-  } else if (config.selector === '#mos-stacks-input') {
+    renderedScales.edo = renderEDO(svg, linesGroup, pointsGroup, centerX, centerY, radius).map(edoPitch);
+    updateApproximation();
+    updatePitchViews();
+  } else if (config.selector === '#mos-stacks-input' || config.selector === '#mos-stacks-down-input') {
     updateVisualizations();
-  } else if (config.selector === '#odd-limit-input') {
-    jiGroup.selectAll('*').remove();
-    renderJI(svg, centerX, centerY, radius);
+  } else if (jiInputSelectors.includes(config.selector)) {
+    renderedScales.ji = renderJI(svg, centerX, centerY, radius);
+    updateJIComparisons();
+    updatePitchViews();
   } else if (config.selector === '#mos-generator-input') {
     syncMosSliderToInput();
     clearTimeout(e.target.validationTimeout);
     e.target.validationTimeout = setTimeout(() => {
       updateVisualizations();
     }, 500);
+  } else if (config.selector === '#period-input') {
+    // The period changes every layer and the generator slider's range
+    clearTimeout(e.target.validationTimeout);
+    e.target.validationTimeout = setTimeout(() => {
+      refreshStepRatio();
+      syncMosSliderToInput();
+      updateVisualizations();
+    }, 500);
   }
+
+  writeStateToHash();
 }
 
 inputConfigs.forEach(config => {
@@ -218,7 +638,7 @@ function adjustMosGeneratorValue(deltaCents, source) {
         currentCents = parseFloat(slider.property('value')) || 0;
     }
     let newCents = currentCents + deltaCents;
-    newCents = Math.max(0, Math.min(1200, newCents));
+    newCents = Math.max(0, Math.min(getPeriod().cents, newCents));
     // Format to 3 decimal places, remove trailing zeros
     const formattedValue = parseFloat(newCents.toFixed(3)).toString();
     // Update both input and slider
@@ -227,13 +647,15 @@ function adjustMosGeneratorValue(deltaCents, source) {
     updateVisualizations();
 }
 
-// Keep input and slider in sync (text to slider)
+// Keep input and slider in sync (text to slider); the slider spans one period
 function syncMosSliderToInput() {
     const textInput = d3.select('#mos-generator-input');
     const slider = d3.select('#mos-generator-slider');
+    const periodCents = getPeriod().cents;
+    slider.attr('max', periodCents);
     try {
         const cents = convertToCents(textInput.property('value'));
-        const clampedCents = Math.max(0, Math.min(1200, cents));
+        const clampedCents = Math.max(0, Math.min(periodCents, cents));
         slider.property('value', clampedCents);
         clearError('#mos-generator-input');
     } catch (error) {
@@ -297,3 +719,88 @@ d3.select('#mos-generator-input').on('keydown', function(event) {
 
 // Initial synchronization
 syncMosSliderToInput();
+
+// Apply a saved preset through the same validation as typed input, then re-render once
+function applyPreset(state) {
+    const problems = applyState(state);
+    inputConfigs.forEach(config => {
+        const input = document.querySelector(config.selector);
+        if (input) sanitizeInput(input, config);
+    });
+    if (problems.length) {
+        showGlobalError(`Some preset settings were invalid and have been ignored: ${problems.join('; ')}`);
+    } else {
+        clearGlobalError();
+    }
+    syncDarkModeButton();
+    refreshStepRatio();
+    refreshJIMode();
+    refreshTemperament();
+    refreshLattice();
+    refreshRuler();
+    syncMosSliderToInput();
+    // Showing or hiding the lattice or ruler view resizes the circle
+    updateDimensions();
+}
+
+initPresetManager({ onApply: applyPreset });
+
+initScalaExport({ getPitches: source => renderedScales[source] });
+
+initImageExport({ render: updateVisualizations });
+
+// Show an EDO picked from the ranking table
+initEdoRanking({
+    onSelect: edo => {
+        d3.select('#edo-input').property('value', edo);
+        clearError('#edo-input');
+        updateVisualizations();
+    }
+});
+
+// Apply a generator and stack count picked in the MOS family panel
+refreshMosFamily = initMosFamily({
+    onSelect: (generatorCents, stacks) => {
+        // A picked generator replaces one derived from a step ratio
+        d3.select('#mos-entry-mode').property('value', 'generator');
+        refreshStepRatio();
+        if (generatorCents !== null) {
+            d3.select('#mos-generator-input').property('value', parseFloat(generatorCents.toFixed(3)).toString());
+        }
+        setMosStackCount(stacks);
+        d3.select('#mos-toggle').property('checked', true);
+        syncMosSliderToInput();
+        updateVisualizations();
+    }
+});
+
+// Switch the JI layer between the odd-limit diamond and series/chord modes
+const refreshJIMode = initJIMode({ onChange: updateVisualizations });
+
+// Tune the MOS generator to an optimal tuning of the rank-2 temperament
+const refreshTemperament = initTemperament({
+    onChange: updateVisualizations,
+    onOptimize: generatorCents => {
+        // The optimized generator replaces one derived from a step ratio
+        d3.select('#mos-entry-mode').property('value', 'generator');
+        refreshStepRatio();
+        d3.select('#mos-generator-input').property('value', parseFloat(generatorCents.toFixed(3)).toString());
+        clearError('#mos-generator-input');
+        syncMosSliderToInput();
+        updateVisualizations();
+    }
+});
+
+// Apply links pasted into an already open tab
+window.addEventListener('hashchange', () => {
+    restoreStateFromHash();
+    syncDarkModeButton();
+    refreshStepRatio();
+    refreshJIMode();
+    refreshTemperament();
+    refreshLattice();
+    refreshRuler();
+    syncMosSliderToInput();
+    // Showing or hiding the lattice or ruler view resizes the circle
+    updateDimensions();
+});
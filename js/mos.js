@@ -1,259 +1,276 @@
 // mos.js
-import { attachTooltipHandlers, renderLabels, showError, clearError, ensureGroup, clearGroup, parseInput } from './utils.js';
+import {
+    attachTooltipHandlers, renderLabels, showError, clearError, ensureGroup, parseInput, createChangeTracker,
+    detachTooltipHandlers, slideToPitch, cancelExit, fadeOutAndRemove
+} from './utils.js';
+import { attachPitchHandlers } from './selection.js';
+import { convertToCents, stackGenerator, classifyMOS, reduceCents, mosPatternName, stepRatioName } from './theory/index.js';
+import { getPeriod, isOctave, periodName } from './period.js';
+import { getMosLayers, getSelectedMosLayer } from './mosLayers.js';
 
-// Function to automatically detect format and convert to cents
-export function convertToCents(inputValue) {
-    const value = inputValue.trim();
-    
-    // Check for EDO steps format (contains backslash)
-    if (value.includes('\\')) {
-        const parts = value.split('\\');
-        if (parts.length === 2) {
-            const steps = parseFloat(parts[0]);
-            const edoValue = parseFloat(parts[1]);
-            if (!isNaN(steps) && !isNaN(edoValue) && edoValue > 0) {
-                // Convert EDO steps to cents: (steps/edo) * 1200
-                return (steps / edoValue) * 1200;
-            }
-        }
-        throw new Error('Invalid EDO format. Use n\\edo (e.g., 7\\12)');
-    }
-    
-    // Check for JI ratio format (contains forward slash)
-    if (value.includes('/')) {
-        const parts = value.split('/');
-        if (parts.length === 2) {
-            const numerator = parseFloat(parts[0]);
-            const denominator = parseFloat(parts[1]);
-            if (!isNaN(numerator) && !isNaN(denominator) && numerator > 0 && denominator > 0) {
-                // Convert ratio to cents: 1200 * log2(n/d)
-                return 1200 * Math.log2(numerator / denominator);
-            }
-        }
-        throw new Error('Invalid ratio format. Use n/d (e.g., 3/2)');
-    }
-    
-    // Otherwise, treat as cents (plain number)
-    const cents = parseFloat(value);
-    if (!isNaN(cents)) {
-        return cents;
-    }
-    
-    throw new Error('Invalid input. Use cents (e.g., 701.955), ratio (e.g., 3/2), or EDO steps (e.g., 7\\12)');
-}
+// Size and distance from the circle of the MOS labels; several labels use the smaller size
+// so that three fit in the margin above the circle
+const LABEL_FONT_SIZE = 24;
+const LABEL_OFFSET = 20;
+const STACKED_LABEL_FONT_SIZE = 14;
+const STACKED_LABEL_OFFSET = 10;
+const STACKED_LABEL_GAP = 2;
 
-// Function to detect and return format info
-function detectInputFormat(inputValue) {
-    const value = inputValue.trim();
-    
-    if (value.includes('\\')) {
-        return { format: 'EDO steps', example: 'e.g., 7\\12' };
-    } else if (value.includes('/')) {
-        return { format: 'JI ratio', example: 'e.g., 3/2' };
-    } else {
-        return { format: 'Cents', example: 'e.g., 701.955' };
-    }
-}
+// Layers drawn by the last renderMOS call, in list order, for the ruler view
+let renderedLayers = [];
 
-export function renderMOS(svg, centerX, centerY, radius) {
+// Inputs the MOS layers were last drawn from, and the selected layer's notes drawn then
+const inputsChanged = createChangeTracker();
+let lastSelectedNotes = [];
 
-    // Get the generator input value
-    const generatorInput = d3.select('#mos-generator-input').property('value');
+/**
+ * The MOS layers drawn by the last render, each with its notes.
+ * @returns {Array<{id: number, name: string, color: string, notes: Array<Object>}>} name is
+ *   "MOS", or "MOS n" when there are several layers.
+ */
+export function getRenderedMosLayers() {
+    return renderedLayers;
+}
+
+/**
+ * Validate a layer's generator and stack counts. Problems with the selected layer are shown
+ * on the MOS module's inputs, which hold its values.
+ * @param {Object} layer - Layer from getMosLayers.
+ * @param {boolean} isSelected
+ * @returns {{generatorCents: number, numStacks: number, numDown: number}|null} Null if a value is invalid.
+ */
+function readLayer(layer, isSelected) {
     let generatorCents;
     try {
-        generatorCents = convertToCents(generatorInput);
+        generatorCents = convertToCents(layer.generator);
     } catch (error) {
-        console.error('Generator input error:', error.message);
-        showError('#mos-generator-input', error.message);
-        generatorCents = 701.955;
-        return;
+        if (isSelected) showError('#mos-generator-input', error.message);
+        return null;
     }
-    clearError('#mos-generator-input');
-    // Get the number of stacks using robust validation
-    let numStacks;
+    if (isSelected) clearError('#mos-generator-input');
+
     try {
-        numStacks = parseInput(
-            d3.select('#mos-stacks-input').property('value'),
-            {
-                type: 'int',
-                min: 0,
-                selector: '#mos-stacks-input',
-                label: 'Number of Stacks'
-            }
-        );
+        const numStacks = parseInput(layer.stacks, {
+            type: 'int',
+            min: 0,
+            selector: isSelected ? '#mos-stacks-input' : undefined,
+            label: 'Number of Stacks'
+        });
+        const numDown = parseInput(layer.down, {
+            type: 'int',
+            min: 0,
+            selector: isSelected ? '#mos-stacks-down-input' : undefined,
+            label: 'Stacks Down'
+        });
+        return { generatorCents, numStacks, numDown };
     } catch (err) {
-        showError('#mos-stacks-input', err.message);
-        return;
+        return null;
     }
-    // Select and clear the MOS group using shared utilities
-    let mosGroup = ensureGroup(svg, 'mos-group');
-    clearGroup(mosGroup);
-
-    // Initialize array to store notes with stack index and cents
-    let scaleNotes = [];
-
-    // Always include 0 cents as Stack 0
-    scaleNotes.push({ stack: 0, cents: 0 });
-
-    if (numStacks > 0) {
-        // Calculate all scale degrees
-        let cumulativeCents = 0;
-        for (let i = 1; i <= numStacks; i++) {
-            cumulativeCents += generatorCents;
-            // Normalize cumulativeCents to 0-1200 cents
-            const normalizedCents = ((cumulativeCents % 1200) + 1200) % 1200;
-            scaleNotes.push({ stack: i, cents: normalizedCents });
-        }
-    }
-
-    // For interval calculations, extract cents values and sort them
-    let scaleCentsSorted = scaleNotes.map(note => note.cents).sort((a, b) => a - b);
-
-    // Compute the intervals between adjacent notes
-    let intervals = [];
-    for (let i = 0; i < scaleCentsSorted.length; i++) {
-        const currentCents = scaleCentsSorted[i];
-        const nextCents = scaleCentsSorted[(i + 1) % scaleCentsSorted.length]; // wrap around
-        let interval = nextCents - currentCents;
-        if (interval < 0) {
-            interval += 1200;
-        }
-        intervals.push(interval);
-    }
-
-    // Find unique interval sizes
-    const uniqueIntervals = [...new Set(intervals.map(interval => interval.toFixed(5)))];
-
-    let isMOS = uniqueIntervals.length === 2;
-
-    // MOS detection and labeling
-    if (isMOS) {
-        // Determine which interval is the large step and which is the small step
-        const intervalValues = uniqueIntervals.map(parseFloat).sort((a, b) => a - b);
-        const smallStepSize = intervalValues[0];
-        const largeStepSize = intervalValues[1];
-
-        // Count how many times each interval occurs
-        let smallStepCount = 0;
-        let largeStepCount = 0;
-
-        intervals.forEach(interval => {
-            const intervalValue = parseFloat(interval.toFixed(5));
-            if (Math.abs(intervalValue - smallStepSize) < 1e-4) {
-                smallStepCount++;
-            } else if (Math.abs(intervalValue - largeStepSize) < 1e-4) {
-                largeStepCount++;
-            }
-        });
+}
 
-        // Function to calculate GCD of two numbers
-        function gcd(a, b) {
-            if (!b) {
-                return a;
-            }
-            return gcd(b, a % b);
-        }
+/**
+ * Name of a MOS for its label: "xL y s" (lowercase 's'), naming any non-octave period as in
+ * 4L 5s⟨3/1⟩, followed by the TAMNAMS names of the pattern (octave only) and of the step ratio.
+ * @param {Object} mos - Result of classifyMOS.
+ * @param {Object} period
+ * @returns {string}
+ */
+function mosLabel(mos, period) {
+    const patternName = isOctave(period) ? mosPatternName(mos.largeCount, mos.smallCount) : null;
+    return `${mos.largeCount}L ${mos.smallCount}s` +
+        (isOctave(period) ? '' : `⟨${periodName(period)}⟩`) +
+        ` ${patternName ? `${patternName}, ` : ''}${stepRatioName(mos.largeStep / mos.smallStep)}`;
+}
 
-        // Calculate GCD of largeStepCount and smallStepCount
-        const stepsGCD = gcd(largeStepCount, smallStepCount);
+/**
+ * Draw one layer's generator chain into its own group, rotated so the layer's mode tonic
+ * is at the top.
+ * @param {d3.Selection} layerGroup
+ * @param {Object} layer - Layer from getMosLayers.
+ * @param {{generatorCents: number, numStacks: number, numDown: number}} values - Validated layer values.
+ * @param {Object} geometry - { centerX, centerY, radius, period, prefix } where prefix names
+ *   the layer in tooltips ('' when there is only one).
+ * @returns {{notes: Array<{stack: number, cents: number, name: string, label: string, tooltip: string, color: string, complexity: number}>, mos: Object}}
+ *   The notes carry the texts and color the circle and the ruler share; complexity counts
+ *   generators from stack 0.
+ */
+function renderLayer(layerGroup, layer, { generatorCents, numStacks, numDown }, { centerX, centerY, radius, period, prefix }) {
+    // Stack the generator from -numDown to +numStacks (swapped when the layer is inverted)
+    // and classify the resulting scale
+    const chain = layer.negative
+        ? stackGenerator(generatorCents, numDown, period.cents, numStacks)
+        : stackGenerator(generatorCents, numStacks, period.cents, numDown);
+    const mos = classifyMOS(chain.map(note => note.cents), period.cents);
 
-        // Only display the label if the counts are coprime (GCD is 1)
-        if (stepsGCD === 1 && smallStepCount > 0) {
-            // Display "xL y s" above the circle (lowercase 's')
-            const mosTextContent = `${largeStepCount}L ${smallStepCount}s`;
-            const mosText = mosGroup.select('#mos-text');
-            if (mosText.empty()) {
-                mosGroup.append('text')
-                    .attr('id', 'mos-text')
-                    .attr('x', centerX)
-                    .attr('y', centerY - radius - 20)
-                    .attr('text-anchor', 'middle')
-                    .attr('fill', 'var(--text-color)')
-                    .attr('font-size', '24px')
-                    .text(mosTextContent);
-            } else {
-                mosText.text(mosTextContent);
-            }
-        } else {
-            // Remove MOS text if it exists
-            mosGroup.select('#mos-text').remove();
-            // Also, set isMOS to false to prevent lines from highlighting
-            isMOS = false;
-        }
-    } else {
-        // Remove MOS text if it exists
-        mosGroup.select('#mos-text').remove();
-    }
+    // Measure every note from the layer's mode tonic; a tonic outside the chain falls back to stack 0
+    const tonic = chain.find(note => note.stack === layer.mode) || chain.find(note => note.stack === 0);
+    const scaleNotes = chain.map(note => {
+        const cents = reduceCents(note.cents - tonic.cents, period.cents);
+        const text = `${prefix}Stack ${note.stack}: ${cents.toFixed(2)}¢`;
+        return {
+            stack: note.stack,
+            cents,
+            name: `${prefix}Stack ${note.stack}`,
+            label: text,
+            tooltip: text,
+            color: layer.color,
+            complexity: Math.abs(note.stack)
+        };
+    });
+    const isMOS = mos.isMOS;
 
     // Handle labels
     const alwaysOn = d3.select('#always-on-checkbox').property('checked');
 
     // Determine line style
     let lineStrokeWidth = isMOS ? 4 : 3; // Increase width when it's MOS
-    let lineColor = isMOS ? 'var(--mos-highlight-color)' : 'var(--mos-line-color)';
     let lineOpacity = isMOS ? 1 : 0.7;
 
-    // Now, draw the lines and dots using D3 data binding
+    const position = (cents, r = radius) => {
+        const angle = (cents / period.cents) * 2 * Math.PI - Math.PI / 2;
+        return [centerX + r * Math.cos(angle), centerY + r * Math.sin(angle)];
+    };
+    const pointX = (d, offset = 0) => position(d.cents, radius + offset)[0];
+    const pointY = (d, offset = 0) => position(d.cents, radius + offset)[1];
+    const slide = { getCents: d => d.cents, periodCents: period.cents, position };
+
+    // Now, draw the lines and dots using D3 data binding, keyed by stack so that changing
+    // the generator slides each note from where it was
     // Draw lines
-    mosGroup.selectAll('line')
-        .data(scaleNotes)
-        .enter()
-        .append('line')
-        .attr('class', 'mos-generator-line')
+    layerGroup.selectAll('line.mos-generator-line')
+        .data(scaleNotes, d => d.stack)
+        .join(
+            enter => enter.append('line').attr('class', 'mos-generator-line'),
+            update => cancelExit(update),
+            exit => fadeOutAndRemove(exit)
+        )
         .attr('x1', centerX)
         .attr('y1', centerY)
-        .attr('x2', d => {
-            const angle = (d.cents / 1200) * 2 * Math.PI - Math.PI / 2;
-            return centerX + radius * Math.cos(angle);
-        })
-        .attr('y2', d => {
-            const angle = (d.cents / 1200) * 2 * Math.PI - Math.PI / 2;
-            return centerY + radius * Math.sin(angle);
-        })
-        .attr('stroke', lineColor)
+        .attr('stroke', layer.color)
         .attr('stroke-width', lineStrokeWidth)
-        .attr('stroke-opacity', lineOpacity);
+        .attr('stroke-opacity', lineOpacity)
+        .call(slideToPitch, { ...slide, attrs: ['x2', 'y2'] });
 
     // Draw circles
-    mosGroup.selectAll('circle')
-        .data(scaleNotes)
-        .enter()
-        .append('circle')
-        .attr('cx', d => {
-            const angle = (d.cents / 1200) * 2 * Math.PI - Math.PI / 2;
-            return centerX + radius * Math.cos(angle);
-        })
-        .attr('cy', d => {
-            const angle = (d.cents / 1200) * 2 * Math.PI - Math.PI / 2;
-            return centerY + radius * Math.sin(angle);
-        })
-        .attr('r', 5)
-        .attr('fill', lineColor)
-        .attr('stroke', 'black');
+    const mosPoints = layerGroup.selectAll('circle.mos-point')
+        .data(scaleNotes, d => d.stack)
+        .join(
+            enter => enter.append('circle')
+                .attr('class', 'mos-point')
+                .attr('stroke', 'black'),
+            update => cancelExit(update),
+            exit => fadeOutAndRemove(exit)
+        )
+        .classed('mos-point--tonic', d => d.stack === tonic.stack)
+        .attr('r', d => (d.stack === tonic.stack ? 8 : 5))
+        .attr('fill', layer.color)
+        .call(slideToPitch, slide);
+
+    // Click to play, shift-click to add to the chord selection
+    attachPitchHandlers(mosPoints, 'mos', d => d.cents, d => d.name);
 
+    // Labels are drawn again at the final positions, where the layout places them
+    layerGroup.selectAll('text.chart-label, line.label-leader').remove();
     if (alwaysOn) {
+        detachTooltipHandlers(mosPoints);
         // Display labels for all notes using shared utility
         renderLabels({
-            selection: mosGroup,
+            selection: layerGroup,
             data: scaleNotes,
-            getText: d => `Stack ${d.stack}: ${d.cents.toFixed(2)}¢`,
-            getX: d => {
-                const angle = (d.cents / 1200) * 2 * Math.PI - Math.PI / 2;
-                return centerX + (radius + 10) * Math.cos(angle);
-            },
-            getY: d => {
-                const angle = (d.cents / 1200) * 2 * Math.PI - Math.PI / 2;
-                return centerY + (radius + 10) * Math.sin(angle);
-            },
+            getText: d => d.label,
+            getX: d => pointX(d, 10),
+            getY: d => pointY(d, 10),
+            getAnchor: d => [pointX(d), pointY(d)],
+            center: [centerX, centerY],
+            layer: 'mos',
+            getComplexity: d => d.complexity,
             fontSize: '10px',
             fill: 'var(--text-color)',
             anchor: 'middle'
         });
     } else {
         // Attach tooltip event handlers to circles using shared utility
-        attachTooltipHandlers(
-            mosGroup.selectAll('circle'),
-            d => `Stack ${d.stack}: ${d.cents.toFixed(2)}¢`
-        );
+        attachTooltipHandlers(mosPoints, d => d.tooltip);
     }
+
+    return { notes: scaleNotes, mos };
+}
+
+/**
+ * Draw every visible MOS layer in list order, each in its own group, with one label per
+ * MOS layer stacked above the circle (the first layer's label on top). Layers are joined to
+ * their groups by id, so editing one layer animates only that layer's notes; nothing is
+ * redrawn while the layers, the period and the circle stay the same.
+ * @returns {Array<{stack: number, cents: number}>} The selected layer's notes in stacking order,
+ *   in cents above its tonic, or an empty array if that layer is hidden or invalid.
+ */
+export function renderMOS(svg, centerX, centerY, radius) {
+    const mosGroup = ensureGroup(svg, 'mos-group');
+
+    const period = getPeriod();
+    const layers = getMosLayers();
+    const selected = getSelectedMosLayer();
+    const alwaysOn = d3.select('#always-on-checkbox').property('checked');
+
+    // Keep the drawing if nothing it depends on changed
+    const inputs = [layers, selected && selected.id, period.cents, alwaysOn, centerX, centerY, radius];
+    if (!inputsChanged(inputs) && mosGroup.node().hasChildNodes()) {
+        return lastSelectedNotes;
+    }
+
+    const labels = [];
+    let selectedNotes = [];
+    renderedLayers = [];
+
+    const drawn = layers.flatMap((layer, index) => {
+        const isSelected = selected !== null && layer.id === selected.id;
+        if (!layer.visible) return [];
+        const values = readLayer(layer, isSelected);
+        return values ? [{ layer, index, isSelected, values }] : [];
+    });
+
+    mosGroup.selectAll('g.mos-layer-group')
+        .data(drawn, d => d.layer.id)
+        .join(
+            enter => enter.append('g')
+                .attr('class', 'mos-layer-group')
+                .attr('data-layer', d => d.layer.id),
+            update => cancelExit(update),
+            exit => fadeOutAndRemove(exit)
+        )
+        .order()
+        .each(function({ layer, index, isSelected, values }) {
+            const prefix = layers.length > 1 ? `Layer ${index + 1} · ` : '';
+            const { notes, mos } = renderLayer(d3.select(this), layer, values, { centerX, centerY, radius, period, prefix });
+
+            if (mos.isMOS) {
+                labels.push({ layer, isSelected, text: mosLabel(mos, period) });
+            }
+            if (isSelected) selectedNotes = notes;
+            renderedLayers.push({ id: layer.id, name: layers.length > 1 ? `MOS ${index + 1}` : 'MOS', color: layer.color, notes });
+        });
+
+    // MOS labels, colored by layer when several layers are shown
+    const stacked = labels.length > 1;
+    const fontSize = stacked ? STACKED_LABEL_FONT_SIZE : LABEL_FONT_SIZE;
+    const offset = stacked ? STACKED_LABEL_OFFSET : LABEL_OFFSET;
+    const lineHeight = fontSize + STACKED_LABEL_GAP;
+    mosGroup.selectAll('text.mos-label')
+        .data(labels, d => d.layer.id)
+        .join(
+            enter => enter.append('text')
+                .attr('text-anchor', 'middle'),
+            update => cancelExit(update),
+            exit => fadeOutAndRemove(exit)
+        )
+        .attr('class', d => `mos-label${d.isSelected ? ' mos-label--selected' : ''}`)
+        .attr('data-layer', d => d.layer.id)
+        .attr('x', centerX)
+        .attr('y', (d, i) => centerY - radius - offset - (labels.length - 1 - i) * lineHeight)
+        .attr('fill', d => (layers.length > 1 ? d.layer.color : 'var(--text-color)'))
+        .attr('font-size', `${fontSize}px`)
+        .text(d => d.text);
+
+    lastSelectedNotes = selectedNotes;
+    return selectedNotes;
 }
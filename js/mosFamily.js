@@ -0,0 +1,211 @@
+// mosFamily.js
+// MOS family explorer: the chain of MOS patterns for the current generator, the generator
+// range of a chosen pattern, and a clickable MOS family (Stern–Brocot) tree
+import { parseInput, showError, clearError } from './utils.js';
+import { getPeriod, isOctave, periodName } from './period.js';
+import { convertToCents, reduceCents, mosChain, mosFamilyTree, mosGeneratorRange, parseMosPattern } from './theory/index.js';
+
+// Largest scale listed in the chain
+const CHAIN_MAX_NOTES = 50;
+
+// Tree layout: vertical spacing between leaves and horizontal spacing between levels
+const TREE_ROW_HEIGHT = 16;
+const TREE_COLUMN_WIDTH = 46;
+const TREE_MARGIN = 24;
+
+/**
+ * Label of a pattern, e.g. "5L 2s".
+ * @param {{largeCount: number, smallCount: number}} pattern
+ * @returns {string}
+ */
+function patternName(pattern) {
+    return `${pattern.largeCount}L ${pattern.smallCount}s`;
+}
+
+/**
+ * Format a fraction of the period as equal-division steps, e.g. 4\7 (or 4\7<3/1>).
+ * @param {{numerator: number, denominator: number}} fraction
+ * @param {Object} period
+ * @returns {string}
+ */
+function formatSteps(fraction, period) {
+    const steps = `${fraction.numerator}\\${fraction.denominator}`;
+    return isOctave(period) ? steps : `${steps}<${periodName(period)}>`;
+}
+
+/**
+ * The current generator as a fraction of the period, in [0, 1).
+ * @param {number} periodCents
+ * @returns {number|null} Null if the generator input is invalid.
+ */
+function generatorFraction(periodCents) {
+    try {
+        return reduceCents(convertToCents(d3.select('#mos-generator-input').property('value')), periodCents) / periodCents;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * List the MOS patterns reached by stacking the current generator.
+ * @param {function(number|null, number): void} onSelect
+ */
+function renderChain(onSelect) {
+    const list = d3.select('#mos-chain-list');
+    const period = getPeriod();
+    let generator;
+    try {
+        generator = convertToCents(d3.select('#mos-generator-input').property('value'));
+    } catch (err) {
+        list.selectAll('*').remove();
+        return;
+    }
+    // The chain's size counts the generators stacked up and down
+    const stacks = parseInt(d3.select('#mos-stacks-input').property('value'), 10) +
+        (parseInt(d3.select('#mos-stacks-down-input').property('value'), 10) || 0);
+    const chain = mosChain(generator, period.cents, CHAIN_MAX_NOTES);
+
+    list.selectAll('li')
+        .data(chain)
+        .join(enter => {
+            const item = enter.append('li');
+            item.append('button').attr('class', 'btn btn--small btn--outline mos-chain__item');
+            return item;
+        })
+        .select('button')
+        .classed('mos-chain__item--current', d => d.stacks === stacks)
+        .attr('title', d => `Set ${d.stacks} stacks`)
+        .text(d => `${patternName(d)} · L:s ${(d.largeStep / d.smallStep).toFixed(3)}`)
+        .on('click', (event, d) => onSelect(null, d.stacks));
+}
+
+/**
+ * Show the generator range for the pattern typed into #mos-pattern-input.
+ */
+function renderPatternRange() {
+    const output = d3.select('#mos-pattern-range');
+    const text = d3.select('#mos-pattern-input').property('value').trim();
+    if (!text) {
+        clearError('#mos-pattern-input');
+        output.text('');
+        return;
+    }
+    try {
+        const { largeCount, smallCount } = parseMosPattern(text);
+        const range = mosGeneratorRange(largeCount, smallCount);
+        const period = getPeriod();
+        const cents = fraction => (fraction.numerator / fraction.denominator * period.cents).toFixed(3);
+        clearError('#mos-pattern-input');
+        output.text(
+            `Bright generator ${cents(range.lower)}¢ – ${cents(range.upper)}¢ ` +
+            `(${formatSteps(range.lower, period)} – ${formatSteps(range.upper, period)}), ` +
+            `basic ${formatSteps(range.mediant, period)} = ${cents(range.mediant)}¢. ` +
+            `Dark generators are the period minus these.`
+        );
+    } catch (err) {
+        showError('#mos-pattern-input', err.message);
+        output.text('');
+    }
+}
+
+/**
+ * Draw the MOS family tree, highlighting the patterns whose range holds the current generator.
+ * @param {function(number|null, number): void} onSelect
+ */
+function renderTree(onSelect) {
+    let depth;
+    try {
+        depth = parseInput(d3.select('#mos-tree-depth').property('value'), {
+            type: 'int',
+            min: 1,
+            max: 7,
+            selector: '#mos-tree-depth',
+            label: 'Tree depth'
+        });
+    } catch (err) {
+        return;
+    }
+
+    const period = getPeriod();
+    const current = generatorFraction(period.cents);
+    const root = d3.hierarchy(mosFamilyTree(depth));
+    d3.tree().nodeSize([TREE_ROW_HEIGHT, TREE_COLUMN_WIDTH])(root);
+
+    const [minX, maxX] = d3.extent(root.descendants(), d => d.x);
+    const width = depth * TREE_COLUMN_WIDTH + 2 * TREE_MARGIN;
+    const height = maxX - minX + 2 * TREE_ROW_HEIGHT;
+
+    const container = d3.select('#mos-tree');
+    container.selectAll('*').remove();
+    const svg = container.append('svg')
+        .attr('viewBox', `${-TREE_MARGIN} ${minX - TREE_ROW_HEIGHT} ${width} ${height}`)
+        .attr('width', '100%')
+        .attr('role', 'img')
+        .attr('aria-label', 'MOS family tree');
+
+    // A generator and its period complement produce the same patterns, so either may be bright
+    const inRange = (fraction, node) =>
+        fraction > node.data.lower.numerator / node.data.lower.denominator &&
+        fraction < node.data.upper.numerator / node.data.upper.denominator;
+    const contains = node => current !== null && (inRange(current, node) || inRange(1 - current, node));
+
+    svg.append('g')
+        .selectAll('path')
+        .data(root.links())
+        .enter()
+        .append('path')
+        .attr('class', d => `mos-tree__link${contains(d.target) ? ' mos-tree__link--active' : ''}`)
+        .attr('d', d3.linkHorizontal().x(d => d.y).y(d => d.x));
+
+    const nodes = svg.append('g')
+        .selectAll('g')
+        .data(root.descendants())
+        .enter()
+        .append('g')
+        .attr('class', d => `mos-tree__node${contains(d) ? ' mos-tree__node--active' : ''}`)
+        .attr('transform', d => `translate(${d.y}, ${d.x})`)
+        .on('click', (event, d) => {
+            // The mediant is the basic (L:s = 2:1) tuning of the pattern
+            const { mediant, notes } = d.data;
+            onSelect(mediant.numerator / mediant.denominator * period.cents, notes - 1);
+        });
+
+    nodes.append('title')
+        .text(d => `${patternName(d.data)}: generators ${formatSteps(d.data.lower, period)} – ` +
+            `${formatSteps(d.data.upper, period)}; click for ${formatSteps(d.data.mediant, period)}`);
+
+    nodes.append('circle').attr('r', 3);
+
+    nodes.append('text')
+        .attr('dy', -5)
+        .attr('text-anchor', 'middle')
+        .text(d => patternName(d.data));
+}
+
+/**
+ * Refresh the chain and tree for the current generator, stacks and period.
+ * @param {function(number|null, number): void} onSelect
+ */
+function renderMosFamily(onSelect) {
+    renderChain(onSelect);
+    renderTree(onSelect);
+}
+
+/**
+ * Wire up the MOS family panel.
+ * @param {Object} options
+ * @param {function(number|null, number): void} options.onSelect - Applies a generator in cents
+ *   (null keeps the current one) and a number of stacks (up and down together).
+ * @returns {function(): void} Refreshes the panel after the MOS or period controls change.
+ */
+export function initMosFamily({ onSelect }) {
+    const refresh = () => renderMosFamily(onSelect);
+    d3.select('#mos-pattern-input').on('input', renderPatternRange);
+    d3.select('#mos-tree-depth').on('input', refresh);
+    renderPatternRange();
+    refresh();
+    return () => {
+        refresh();
+        renderPatternRange();
+    };
+}
@@ -0,0 +1,332 @@
+// mosLayers.js
+// Several MOS generator chains drawn at once. Each layer keeps its own generator, stacks,
+// direction, colour, visibility and mode tonic; the generator, stacks and mode controls of
+// the MOS module edit the selected layer.
+import { clearError } from './utils.js';
+import { convertToCents } from './theory/index.js';
+
+// Colours given to new layers in turn
+const LAYER_COLORS = ['#800080', '#e67e22', '#1f77b4', '#2ca02c', '#d62728', '#17becf'];
+
+// Layers in drawing order: { id, generator, stacks, down, negative, color, visible, mode }
+// generator, stacks and down hold the text typed into the editor; mode is the tonic's stack
+let layers = [];
+let selectedId = null;
+let nextId = 1;
+
+// Callbacks registered by initMosLayers
+let callbacks = { onSelect: () => {}, onChange: () => {} };
+
+/**
+ * Create a layer with the next id.
+ * @param {Object} values - Layer fields other than id.
+ * @returns {Object}
+ */
+function createLayer(values) {
+    return { id: nextId++, ...values };
+}
+
+/**
+ * The layers in drawing order.
+ * @returns {Array<Object>} Copies of the layers.
+ */
+export function getMosLayers() {
+    return layers.map(layer => ({ ...layer }));
+}
+
+/**
+ * The layer edited by the MOS module's controls.
+ * @returns {Object|null}
+ */
+export function getSelectedMosLayer() {
+    const layer = layers.find(item => item.id === selectedId);
+    return layer ? { ...layer } : null;
+}
+
+/**
+ * Store the MOS module's generator, stacks (up and down) and mode inputs in the selected layer.
+ */
+export function commitMosEditor() {
+    const layer = layers.find(item => item.id === selectedId);
+    if (!layer) return;
+    layer.generator = d3.select('#mos-generator-input').property('value').trim();
+    layer.stacks = d3.select('#mos-stacks-input').property('value').trim();
+    layer.down = d3.select('#mos-stacks-down-input').property('value').trim();
+    layer.mode = parseInt(d3.select('#mos-mode-input').property('value'), 10) || 0;
+    renderLayerList();
+}
+
+/**
+ * Show the selected layer's generator, stacks and mode in the MOS module's inputs.
+ */
+function loadMosEditor() {
+    const layer = layers.find(item => item.id === selectedId);
+    if (!layer) return;
+    d3.select('#mos-generator-input').property('value', layer.generator);
+    d3.select('#mos-stacks-input').property('value', layer.stacks);
+    d3.select('#mos-stacks-down-input').property('value', layer.down);
+    d3.select('#mos-mode-input').property('value', layer.mode);
+    clearError('#mos-generator-input');
+    clearError('#mos-stacks-input');
+    clearError('#mos-stacks-down-input');
+}
+
+/**
+ * Set the number of generators in the selected layer's chain through the MOS module's
+ * inputs, keeping its stacks down when they fit.
+ * @param {number} total - Generators stacked up and down together.
+ */
+export function setMosStackCount(total) {
+    let down = parseInt(d3.select('#mos-stacks-down-input').property('value'), 10) || 0;
+    if (down > total) down = 0;
+    d3.select('#mos-stacks-input').property('value', total - down);
+    d3.select('#mos-stacks-down-input').property('value', down);
+    clearError('#mos-stacks-input');
+    clearError('#mos-stacks-down-input');
+}
+
+/**
+ * Serialize the layers for the URL hash: one "generator_stacks_negative_colour_visible_mode_down"
+ * entry per layer, joined by "~".
+ * @returns {string}
+ */
+export function serializeMosLayers() {
+    return layers.map(layer => [
+        layer.generator,
+        layer.stacks,
+        layer.negative ? '1' : '0',
+        layer.color.slice(1),
+        layer.visible ? '1' : '0',
+        layer.mode,
+        layer.down
+    ].join('_')).join('~');
+}
+
+/**
+ * Replace the layers with serialized ones and select the first.
+ * @param {string} text - Output of serializeMosLayers.
+ * @throws {Error} If any layer is malformed; the layers are left unchanged.
+ */
+export function restoreMosLayers(text) {
+    const restored = text.split('~').map((entry, i) => {
+        const fields = entry.split('_');
+        // Links made before downward stacking have no down field
+        if (fields.length !== 6 && fields.length !== 7) throw new Error(`layer ${i + 1} must have 6 or 7 fields`);
+        const [generator, stacks, negative, color, visible, mode, down = '0'] = fields;
+        convertToCents(generator);
+        if (!/^\d+$/.test(stacks) || !/^\d+$/.test(down)) throw new Error(`layer ${i + 1} stacks must be whole numbers`);
+        if (!/^[01]$/.test(negative) || !/^[01]$/.test(visible)) throw new Error(`layer ${i + 1} flags must be 1 or 0`);
+        if (!/^[0-9a-f]{6}$/i.test(color)) throw new Error(`layer ${i + 1} colour must be six hex digits`);
+        if (!/^-?\d+$/.test(mode)) throw new Error(`layer ${i + 1} mode must be a whole number`);
+        return {
+            generator,
+            stacks,
+            down,
+            negative: negative === '1',
+            color: `#${color.toLowerCase()}`,
+            visible: visible === '1',
+            mode: parseInt(mode, 10)
+        };
+    });
+    layers = restored.map(createLayer);
+    selectedId = layers[0].id;
+    loadMosEditor();
+    renderLayerList();
+}
+
+/**
+ * Position of the selected layer, for the URL hash.
+ * @returns {number}
+ */
+export function getSelectedMosLayerIndex() {
+    return Math.max(0, layers.findIndex(layer => layer.id === selectedId));
+}
+
+/**
+ * Select a layer by position and show it in the editor.
+ * @param {number} index
+ * @throws {Error} If there is no layer at that position.
+ */
+export function selectMosLayerIndex(index) {
+    if (!layers[index]) throw new Error(`there is no MOS layer ${index + 1}`);
+    selectedId = layers[index].id;
+    loadMosEditor();
+    renderLayerList();
+}
+
+/**
+ * Draw one row per layer: visibility, colour, a select button summarizing the chain,
+ * the option to invert the stacking direction, and move/remove buttons.
+ */
+function renderLayerList() {
+    const list = d3.select('#mos-layer-list');
+    if (list.empty()) return;
+
+    const rows = list.selectAll('li')
+        .data(layers, layer => layer.id)
+        .join(enter => {
+            const row = enter.append('li').attr('class', 'mos-layer');
+            row.append('input')
+                .attr('type', 'checkbox')
+                .attr('class', 'form-control mos-layer__visible')
+                .attr('title', 'Show this layer')
+                .on('change', function(event, d) {
+                    findLayer(d.id).visible = this.checked;
+                    callbacks.onChange();
+                });
+            row.append('input')
+                .attr('type', 'color')
+                .attr('class', 'form-control mos-layer__color')
+                .attr('title', 'Layer colour')
+                .on('input', function(event, d) {
+                    findLayer(d.id).color = this.value;
+                    callbacks.onChange();
+                });
+            row.append('button')
+                .attr('class', 'btn btn--small btn--outline mos-layer__select')
+                .on('click', (event, d) => selectLayer(d.id));
+            const negative = row.append('label').attr('class', 'form-label mos-layer__negative');
+            negative.append('input')
+                .attr('type', 'checkbox')
+                .attr('class', 'form-control')
+                .on('change', function(event, d) {
+                    findLayer(d.id).negative = this.checked;
+                    callbacks.onChange();
+                });
+            negative.append('span').text('Invert');
+            row.append('button')
+                .attr('class', 'btn btn--small btn--outline mos-layer__up')
+                .attr('title', 'Move layer up')
+                .text('↑')
+                .on('click', (event, d) => moveLayer(d.id, -1));
+            row.append('button')
+                .attr('class', 'btn btn--small btn--outline mos-layer__down')
+                .attr('title', 'Move layer down')
+                .text('↓')
+                .on('click', (event, d) => moveLayer(d.id, 1));
+            row.append('button')
+                .attr('class', 'btn btn--small btn--outline mos-layer__remove')
+                .attr('title', 'Remove layer')
+                .text('×')
+                .on('click', (event, d) => removeLayer(d.id));
+            return row;
+        });
+
+    // Rows are keyed by id, so restore list order after a move
+    rows.order()
+        .classed('mos-layer--selected', d => d.id === selectedId);
+    rows.select('.mos-layer__visible').property('checked', d => d.visible);
+    rows.select('.mos-layer__color').property('value', d => d.color);
+    rows.select('.mos-layer__select')
+        .attr('aria-pressed', d => String(d.id === selectedId))
+        .attr('title', (d, i) => `Edit layer ${i + 1}`)
+        .text((d, i) => `${i + 1}: ${d.generator} × ${d.stacks}` + (d.down !== '0' && d.down !== '' ? ` ↓${d.down}` : ''));
+    rows.select('.mos-layer__negative')
+        .attr('title', 'Invert the chain: stack the generator downward for the stacks up and upward for the stacks down')
+        .select('input')
+        .property('checked', d => d.negative);
+    rows.select('.mos-layer__up').property('disabled', (d, i) => i === 0);
+    rows.select('.mos-layer__down').property('disabled', (d, i) => i === layers.length - 1);
+    rows.select('.mos-layer__remove').property('disabled', layers.length === 1);
+}
+
+/**
+ * The stored layer with the given id.
+ * @param {number} id
+ * @returns {Object}
+ */
+function findLayer(id) {
+    return layers.find(layer => layer.id === id);
+}
+
+/**
+ * Make a layer the one edited by the MOS module's controls.
+ * @param {number} id
+ */
+function selectLayer(id) {
+    // Keep any edit not yet rendered (the generator input is debounced)
+    commitMosEditor();
+    selectedId = id;
+    loadMosEditor();
+    renderLayerList();
+    callbacks.onSelect();
+}
+
+/**
+ * Move a layer one place up (-1) or down (1) in the drawing and label order.
+ * @param {number} id
+ * @param {number} offset
+ */
+function moveLayer(id, offset) {
+    const index = layers.findIndex(layer => layer.id === id);
+    const target = index + offset;
+    if (target < 0 || target >= layers.length) return;
+    [layers[index], layers[target]] = [layers[target], layers[index]];
+    renderLayerList();
+    callbacks.onChange();
+}
+
+/**
+ * Remove a layer, selecting its neighbour if it was selected. The last layer is kept.
+ * @param {number} id
+ */
+function removeLayer(id) {
+    if (layers.length === 1) return;
+    const index = layers.findIndex(layer => layer.id === id);
+    layers.splice(index, 1);
+    if (id === selectedId) {
+        selectedId = layers[Math.min(index, layers.length - 1)].id;
+        loadMosEditor();
+        renderLayerList();
+        callbacks.onSelect();
+    } else {
+        renderLayerList();
+        callbacks.onChange();
+    }
+}
+
+/**
+ * Add a copy of the selected layer in the next colour and select it.
+ */
+function addLayer() {
+    commitMosEditor();
+    const { id, ...values } = findLayer(selectedId);
+    const usedColors = layers.map(layer => layer.color);
+    const color = LAYER_COLORS.find(value => !usedColors.includes(value)) ||
+        LAYER_COLORS[layers.length % LAYER_COLORS.length];
+    const layer = createLayer({ ...values, color, visible: true });
+    layers.push(layer);
+    selectedId = layer.id;
+    loadMosEditor();
+    renderLayerList();
+    callbacks.onSelect();
+}
+
+/**
+ * Wire up the MOS layer list. Unless layers were restored from a link, the list starts with
+ * one layer holding the MOS module's current inputs.
+ * @param {Object} options
+ * @param {function(): void} options.onSelect - Called after the selected layer changed and its
+ *   values were loaded into the inputs.
+ * @param {function(): void} options.onChange - Re-renders after a layer's visibility, colour,
+ *   direction or order changed.
+ */
+export function initMosLayers({ onSelect, onChange }) {
+    callbacks = { onSelect, onChange };
+    if (!layers.length) {
+        const layer = createLayer({
+            generator: '',
+            stacks: '',
+            down: '',
+            negative: false,
+            color: LAYER_COLORS[0],
+            visible: true,
+            mode: 0
+        });
+        layers.push(layer);
+        selectedId = layer.id;
+        commitMosEditor();
+    }
+    d3.select('#mos-layer-add-button').on('click', addLayer);
+    renderLayerList();
+}
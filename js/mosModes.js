@@ -0,0 +1,47 @@
+// mosModes.js
+// Step pattern and modes of the selected MOS layer, ordered by brightness; picking a mode
+// makes its tonic the 1/1 of that layer
+import { mosModes } from './theory/index.js';
+import { getPeriod } from './period.js';
+
+/**
+ * List the step pattern and modes of the drawn MOS.
+ * @param {Array<{stack: number, cents: number}>} notes - Notes drawn by renderMOS (empty when hidden).
+ * @param {Object} options
+ * @param {function(number): void} options.onSelect - Called with the tonic stack of a picked mode.
+ */
+export function renderMosModes(notes, { onSelect }) {
+    const list = d3.select('#mos-mode-list');
+    const pattern = d3.select('#mos-step-pattern');
+    const result = notes.length ? mosModes(notes, getPeriod().cents) : null;
+
+    if (!result) {
+        pattern.text(notes.length ? 'The current chain is not a MOS.' : 'Enable MOS and show the selected layer to list its modes.');
+        list.selectAll('*').remove();
+        return;
+    }
+
+    // renderMOS falls back to stack 0 when the stored tonic is outside the chain
+    const requested = parseInt(d3.select('#mos-mode-input').property('value'), 10);
+    const tonicStack = result.modes.some(mode => mode.tonicStack === requested) ? requested : 0;
+    pattern.text(`Step pattern: ${result.pattern}`);
+
+    const items = list.selectAll('li')
+        .data(result.modes)
+        .join(enter => {
+            const item = enter.append('li');
+            item.append('button').attr('class', 'btn btn--small btn--outline mos-mode__button');
+            item.append('div').attr('class', 'mos-mode__degrees');
+            return item;
+        });
+
+    items.select('button')
+        .classed('mos-mode__button--current', d => d.tonicStack === tonicStack)
+        .attr('aria-pressed', d => String(d.tonicStack === tonicStack))
+        .attr('title', d => `Use the mode on stack ${d.tonicStack} as the tonic`)
+        .text(d => `${d.udp} · ${d.steps}`)
+        .on('click', (event, d) => onSelect(d.tonicStack));
+
+    items.select('.mos-mode__degrees')
+        .text(d => d.degrees.map(cents => cents.toFixed(1)).join(' · '));
+}
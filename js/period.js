@@ -0,0 +1,52 @@
+// period.js
+// The global period (equave) represented by one turn of the circle
+import { showError, clearError } from './utils.js';
+import { OCTAVE, parsePeriod } from './theory/index.js';
+
+/**
+ * Read the period from #period-input.
+ * @returns {{cents: number, numerator?: number, denominator?: number}} The period, or the
+ *   octave if the input is invalid (the error is shown next to the input).
+ */
+export function getPeriod() {
+    try {
+        const period = parsePeriod(d3.select('#period-input').property('value'));
+        clearError('#period-input');
+        return period;
+    } catch (err) {
+        showError('#period-input', err.message);
+        return OCTAVE;
+    }
+}
+
+/**
+ * Whether a period is the octave, in which case labels keep their usual octave-based names.
+ * @param {{cents: number}} period
+ * @returns {boolean}
+ */
+export function isOctave(period) {
+    return Math.abs(period.cents - OCTAVE.cents) < 1e-6;
+}
+
+/**
+ * Short name of a period for labels: its ratio, otherwise its size in cents.
+ * @param {{cents: number, numerator?: number, denominator?: number}} period
+ * @returns {string}
+ */
+export function periodName(period) {
+    if (Number.isInteger(period.numerator) && Number.isInteger(period.denominator)) {
+        return `${period.numerator}/${period.denominator}`;
+    }
+    return `${parseFloat(period.cents.toFixed(3))}¢`;
+}
+
+/**
+ * Name of an equal division of the period, e.g. "12 EDO" or "13 ED3".
+ * @param {number} divisions
+ * @param {{cents: number, numerator?: number, denominator?: number}} period
+ * @returns {string}
+ */
+export function equalDivisionName(divisions, period) {
+    // Whole-number periods drop the "/1", as in ED3
+    return isOctave(period) ? `${divisions} EDO` : `${divisions} ED${periodName(period).replace(/\/1$/, '')}`;
+}
@@ -0,0 +1,237 @@
+// presets.js
+// Named presets of the sidebar state, stored in localStorage and exchangeable as JSON files
+import { captureState } from './urlState.js';
+import { downloadFile, showGlobalError, clearGlobalError } from './utils.js';
+
+// localStorage key for the preset collection
+const STORAGE_KEY = 'mosEdoJiCircle.presets';
+
+// Version of the stored and exported collection format
+const PRESET_FORMAT_VERSION = 1;
+
+/**
+ * Validate a parsed preset collection and return its presets.
+ * @param {*} data - Parsed JSON.
+ * @returns {Array<{name: string, state: Object<string, string>}>}
+ * @throws {Error} If the data is not a supported preset collection.
+ */
+function parseCollection(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.presets)) {
+        throw new Error('Not a preset collection (missing "presets" list).');
+    }
+    if (data.version !== PRESET_FORMAT_VERSION) {
+        throw new Error(`Unsupported preset format version ${data.version}; expected ${PRESET_FORMAT_VERSION}.`);
+    }
+    return data.presets.map((preset, i) => {
+        if (!preset || typeof preset.name !== 'string' || !preset.name.trim()) {
+            throw new Error(`Preset ${i + 1} has no name.`);
+        }
+        if (!preset.state || typeof preset.state !== 'object' || Array.isArray(preset.state)) {
+            throw new Error(`Preset "${preset.name}" has no settings.`);
+        }
+        const state = {};
+        Object.entries(preset.state).forEach(([key, value]) => { state[key] = String(value); });
+        return { name: preset.name.trim(), state };
+    });
+}
+
+/**
+ * Load all presets from localStorage.
+ * @returns {Array<{name: string, state: Object<string, string>}>} Empty if nothing is stored or storage is unreadable.
+ */
+export function loadPresets() {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        return raw ? parseCollection(JSON.parse(raw)) : [];
+    } catch (err) {
+        showGlobalError(`Could not read saved presets: ${err.message}`);
+        return [];
+    }
+}
+
+/**
+ * Persist the preset collection to localStorage.
+ * @param {Array<{name: string, state: Object<string, string>}>} presets
+ * @throws {Error} If storage is full or unavailable (e.g. in private browsing).
+ */
+function storePresets(presets) {
+    try {
+        localStorage.setItem(STORAGE_KEY, serializeCollection(presets));
+    } catch (err) {
+        throw new Error(`Could not save presets: ${err.message}`);
+    }
+}
+
+/**
+ * Serialize presets into the versioned collection format.
+ * @param {Array<{name: string, state: Object<string, string>}>} presets
+ * @returns {string} JSON text.
+ */
+function serializeCollection(presets) {
+    return JSON.stringify({ version: PRESET_FORMAT_VERSION, presets }, null, 2);
+}
+
+/**
+ * Save the current sidebar state under a name, replacing any preset with the same name.
+ * @param {string} name
+ * @throws {Error} If the presets cannot be stored.
+ */
+export function savePreset(name) {
+    const presets = loadPresets().filter(preset => preset.name !== name);
+    presets.push({ name, state: captureState() });
+    storePresets(presets);
+}
+
+/**
+ * Rename a preset.
+ * @param {string} oldName
+ * @param {string} newName
+ * @throws {Error} If another preset already uses newName, or the presets cannot be stored.
+ */
+export function renamePreset(oldName, newName) {
+    const presets = loadPresets();
+    if (newName !== oldName && presets.some(preset => preset.name === newName)) {
+        throw new Error(`A preset named "${newName}" already exists.`);
+    }
+    presets.forEach(preset => {
+        if (preset.name === oldName) preset.name = newName;
+    });
+    storePresets(presets);
+}
+
+/**
+ * Delete a preset by name.
+ * @param {string} name
+ * @throws {Error} If the presets cannot be stored.
+ */
+export function deletePreset(name) {
+    storePresets(loadPresets().filter(preset => preset.name !== name));
+}
+
+/**
+ * Download the whole preset collection as a JSON file.
+ */
+export function exportPresets() {
+    downloadFile('mos-edo-ji-presets.json', serializeCollection(loadPresets()), 'application/json');
+}
+
+/**
+ * Merge presets from JSON text into the stored collection; imported presets replace same-named ones.
+ * @param {string} text - Contents of an exported preset file.
+ * @returns {number} Number of presets imported.
+ * @throws {Error} If the text is not a valid preset collection, or the presets cannot be stored.
+ */
+export function importPresets(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Invalid JSON: ${err.message}`);
+    }
+    const imported = parseCollection(data);
+    const names = imported.map(preset => preset.name);
+    storePresets(loadPresets().filter(preset => !names.includes(preset.name)).concat(imported));
+    return imported.length;
+}
+
+/**
+ * Wire up the preset panel controls and render the preset list.
+ * @param {Object} options
+ * @param {function(Object<string, string>): void} options.onApply - Applies a preset's state to the UI.
+ */
+export function initPresetManager({ onApply }) {
+    const nameInput = d3.select('#preset-name-input');
+
+    function renderPresetList() {
+        const presets = loadPresets();
+        const list = d3.select('#preset-list');
+        list.selectAll('*').remove();
+        d3.select('#preset-empty-message').classed('hidden', presets.length > 0);
+
+        const items = list.selectAll('li')
+            .data(presets)
+            .enter()
+            .append('li')
+            .attr('class', 'preset-list__item');
+
+        items.append('button')
+            .attr('class', 'btn btn--small preset-list__apply')
+            .attr('title', 'Apply preset')
+            .text(d => d.name)
+            .on('click', (event, d) => onApply(d.state));
+
+        items.append('button')
+            .attr('class', 'btn btn--small btn--outline')
+            .attr('aria-label', d => `Rename preset ${d.name}`)
+            .text('Rename')
+            .on('click', (event, d) => {
+                const newName = (window.prompt('New preset name:', d.name) || '').trim();
+                if (!newName || newName === d.name) return;
+                try {
+                    renamePreset(d.name, newName);
+                    clearGlobalError();
+                } catch (err) {
+                    showGlobalError(err.message);
+                }
+                renderPresetList();
+            });
+
+        items.append('button')
+            .attr('class', 'btn btn--small btn--outline')
+            .attr('aria-label', d => `Delete preset ${d.name}`)
+            .text('Delete')
+            .on('click', (event, d) => {
+                if (!window.confirm(`Delete preset "${d.name}"?`)) return;
+                try {
+                    deletePreset(d.name);
+                    clearGlobalError();
+                } catch (err) {
+                    showGlobalError(err.message);
+                }
+                renderPresetList();
+            });
+    }
+
+    d3.select('#preset-save-button').on('click', () => {
+        const name = nameInput.property('value').trim();
+        if (!name) {
+            showGlobalError('Enter a name for the preset.');
+            return;
+        }
+        try {
+            savePreset(name);
+        } catch (err) {
+            showGlobalError(err.message);
+            return;
+        }
+        clearGlobalError();
+        nameInput.property('value', '');
+        renderPresetList();
+    });
+
+    d3.select('#preset-export-button').on('click', exportPresets);
+
+    // The visible import button forwards to the hidden file input
+    const fileInput = d3.select('#preset-import-input');
+    d3.select('#preset-import-button').on('click', () => fileInput.node().click());
+    fileInput.on('change', function() {
+        const file = this.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const count = importPresets(reader.result);
+                clearGlobalError();
+                renderPresetList();
+                nameInput.attr('placeholder', `Imported ${count} preset(s)`);
+            } catch (err) {
+                showGlobalError(`Could not import presets from ${file.name}: ${err.message}`);
+            }
+        };
+        reader.readAsText(file);
+        // Allow re-importing the same file
+        this.value = '';
+    });
+
+    renderPresetList();
+}
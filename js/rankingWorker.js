@@ -0,0 +1,30 @@
+// rankingWorker.js
+// Web Worker that scores a range of EDOs off the main thread (loaded as a module worker)
+import { jiSet, scoreEdo } from './theory/index.js';
+
+// Progress is reported after this many EDOs
+const PROGRESS_INTERVAL = 200;
+
+/**
+ * Message protocol:
+ *   in:  { minEdo, maxEdo, primes, oddLimit, period }
+ *   out: { type: 'progress', done, total } ... then { type: 'result', scores }
+ *        or { type: 'error', message }
+ */
+self.onmessage = event => {
+    const { minEdo, maxEdo, primes, oddLimit, period } = event.data;
+    try {
+        const intervals = jiSet({ primes, oddLimit, period });
+        const total = maxEdo - minEdo + 1;
+        const scores = [];
+        for (let edo = minEdo; edo <= maxEdo; edo++) {
+            scores.push(scoreEdo(edo, { primes, oddLimit, period, intervals }));
+            if (scores.length % PROGRESS_INTERVAL === 0) {
+                self.postMessage({ type: 'progress', done: scores.length, total });
+            }
+        }
+        self.postMessage({ type: 'result', scores });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
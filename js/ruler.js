@@ -0,0 +1,270 @@
+// ruler.js
+// Linear ruler view: the pitches drawn on the circle laid out as stacked tracks on a shared
+// cents axis spanning one or more periods, with zoom down to fractions of a cent
+import { attachTooltipHandlers, renderLabels, parseInput } from './utils.js';
+import { attachPitchHandlers } from './selection.js';
+import { getPeriod } from './period.js';
+import { reduceCents } from './theory/index.js';
+
+// Space around the tracks for the track names on the left and the cents axis on top
+const MARGIN = { top: 34, right: 24, bottom: 12, left: 76 };
+
+// Tallest a track gets when there are only a few
+const MAX_TRACK_HEIGHT = 90;
+
+// Pixels one cent spans at the deepest zoom
+const MAX_PIXELS_PER_CENT = 400;
+
+// Largest number of periods the ruler spans
+const MAX_PERIODS = 8;
+
+// The ruler SVG, its zoom behavior and current transform, and the tracks of the last render;
+// set by initRuler and renderRuler
+let rulerSvg = null;
+let zoom = null;
+let transform = d3.zoomIdentity;
+let currentTracks = [];
+
+/**
+ * Whether the ruler is the chosen view.
+ * @returns {boolean}
+ */
+export function isRulerView() {
+    return d3.select('#view-mode').property('value') === 'ruler';
+}
+
+/**
+ * Read how many periods the ruler spans.
+ * @returns {number|null} Null if the input is invalid (the error is shown next to it).
+ */
+function readPeriods() {
+    try {
+        return parseInput(d3.select('#ruler-periods').property('value'), {
+            type: 'int',
+            min: 1,
+            max: MAX_PERIODS,
+            selector: '#ruler-periods',
+            label: 'Periods'
+        });
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Number of decimals that tell apart positions in a visible range of the given width.
+ * @param {number} span - Visible range in cents.
+ * @returns {number}
+ */
+function rangeDecimals(span) {
+    return Math.min(4, Math.max(1, 2 - Math.floor(Math.log10(span))));
+}
+
+/**
+ * Lay out the pitches of each track on the ruler and draw them. Each pitch is repeated in
+ * every period the ruler spans, and keeps the name, label, tooltip and color it has on the
+ * circle. The view is kept when only the pitches change, so the zoom survives edits.
+ * @param {Array<{key: string, name: string, pitches: Array<{cents: number, name: string, label: string, tooltip: string, color: string, complexity: number}>}>} tracks -
+ *   One entry per drawn layer, top to bottom; key is the layer ('edo', 'ji', 'mos' or 'custom').
+ */
+export function renderRuler(tracks) {
+    currentTracks = tracks;
+    draw();
+}
+
+/**
+ * Draw currentTracks with the current zoom transform.
+ */
+function draw() {
+    if (!rulerSvg) return;
+    rulerSvg.selectAll('g.ruler-content').remove();
+    if (!isRulerView()) return;
+
+    const node = rulerSvg.node();
+    const width = node.clientWidth || 600;
+    const height = node.clientHeight || 300;
+    rulerSvg.attr('viewBox', `0 0 ${width} ${height}`);
+
+    const periods = readPeriods();
+    if (periods === null) return;
+
+    const period = getPeriod();
+    const total = periods * period.cents;
+    const left = MARGIN.left;
+    const right = width - MARGIN.right;
+    const baseScale = d3.scaleLinear().domain([0, total]).range([left, right]);
+    const x = transform.rescaleX(baseScale);
+
+    // Zoom until one cent spans MAX_PIXELS_PER_CENT, and never pan past either end
+    zoom.extent([[left, 0], [right, height]])
+        .translateExtent([[left, 0], [right, height]])
+        .scaleExtent([1, Math.max(1, MAX_PIXELS_PER_CENT * total / (right - left))]);
+
+    const content = rulerSvg.append('g').attr('class', 'ruler-content');
+    rulerSvg.select('#ruler-clip rect')
+        .attr('x', left)
+        .attr('y', 0)
+        .attr('width', Math.max(0, right - left))
+        .attr('height', height);
+
+    // Cents axis along the top
+    const tickCount = Math.max(2, Math.floor((right - left) / 90));
+    const tickFormat = x.tickFormat(tickCount);
+    content.append('g')
+        .attr('class', 'ruler-axis')
+        .attr('transform', `translate(0, ${MARGIN.top})`)
+        .call(d3.axisTop(x).ticks(tickCount).tickFormat(value => `${tickFormat(value)}¢`));
+
+    const [visibleStart, visibleEnd] = x.domain();
+    const decimals = rangeDecimals(visibleEnd - visibleStart);
+    d3.select('#ruler-range').text(
+        `Showing ${visibleStart.toFixed(decimals)}¢ – ${visibleEnd.toFixed(decimals)}¢ ` +
+        `(${periods} period${periods === 1 ? '' : 's'} of ${period.cents.toFixed(2)}¢)`
+    );
+
+    const rowHeight = Math.min(MAX_TRACK_HEIGHT, (height - MARGIN.top - MARGIN.bottom) / Math.max(1, currentTracks.length));
+    const plot = content.append('g').attr('clip-path', 'url(#ruler-clip)');
+
+    // Period boundaries across every track
+    plot.selectAll('line.ruler-period')
+        .data(d3.range(periods + 1))
+        .enter()
+        .append('line')
+        .attr('class', 'ruler-period')
+        .attr('x1', k => x(k * period.cents))
+        .attr('x2', k => x(k * period.cents))
+        .attr('y1', MARGIN.top)
+        .attr('y2', MARGIN.top + rowHeight * currentTracks.length);
+
+    const alwaysOn = d3.select('#always-on-checkbox').property('checked');
+
+    currentTracks.forEach((track, row) => {
+        const top = MARGIN.top + row * rowHeight;
+        const middle = top + rowHeight / 2;
+
+        content.append('text')
+            .attr('class', 'ruler-track-name')
+            .attr('x', left - 8)
+            .attr('y', middle)
+            .attr('text-anchor', 'end')
+            .attr('dominant-baseline', 'middle')
+            .text(track.name);
+        plot.append('line')
+            .attr('class', 'ruler-track')
+            .attr('x1', left)
+            .attr('x2', right)
+            .attr('y1', top + rowHeight)
+            .attr('y2', top + rowHeight);
+
+        // Every pitch in every period, plus the closing 1/1 at the far end
+        const marks = d3.range(periods + 1).flatMap(k => track.pitches.map(pitch => ({
+            ...pitch,
+            position: reduceCents(pitch.cents, period.cents) + k * period.cents
+        }))).filter(d => d.position <= total + 1e-9 && d.position >= visibleStart - 1 && d.position <= visibleEnd + 1);
+
+        const group = plot.append('g').attr('class', `ruler-layer ruler-layer--${track.key}`);
+        let points;
+        if (track.key === 'ji') {
+            // JI intervals are drawn as colored lines, like their spokes on the circle
+            points = group.selectAll('line.ji-line')
+                .data(marks)
+                .enter()
+                .append('line')
+                .attr('class', 'ji-line')
+                .attr('x1', d => x(d.position))
+                .attr('x2', d => x(d.position))
+                .attr('y1', top + rowHeight * 0.2)
+                .attr('y2', top + rowHeight * 0.8)
+                .attr('stroke', d => d.color)
+                .attr('stroke-width', 2);
+        } else {
+            group.selectAll('line.ruler-stem')
+                .data(marks)
+                .enter()
+                .append('line')
+                .attr('class', 'ruler-stem')
+                .attr('x1', d => x(d.position))
+                .attr('x2', d => x(d.position))
+                .attr('y1', top + rowHeight * 0.2)
+                .attr('y2', top + rowHeight * 0.8)
+                .attr('stroke', d => d.color);
+            points = group.selectAll('circle')
+                .data(marks)
+                .enter()
+                .append('circle')
+                .attr('class', `${track.key}-point`)
+                .attr('cx', d => x(d.position))
+                .attr('cy', middle)
+                .attr('r', 5)
+                .attr('fill', d => d.color)
+                .attr('stroke', 'black');
+        }
+
+        // Click to play, shift-click to add to the chord selection
+        attachPitchHandlers(points, track.key, d => d.position, d => d.name);
+
+        if (alwaysOn) {
+            renderLabels({
+                selection: group,
+                data: marks,
+                getText: d => d.label,
+                getX: d => x(d.position),
+                getY: () => top + rowHeight * 0.2 - 4,
+                getAnchor: d => [x(d.position), top + rowHeight * 0.2],
+                layer: track.key,
+                getComplexity: d => d.complexity,
+                fontSize: '10px',
+                fill: 'var(--text-color)',
+                anchor: 'middle'
+            });
+        } else {
+            attachTooltipHandlers(points, d => d.tooltip);
+        }
+    });
+}
+
+/**
+ * Create the ruler view and wire up the view switch and the ruler's controls.
+ * @param {Object} options
+ * @param {function(): void} options.onToggle - Called after switching views, to resize the
+ *   circle and redraw.
+ * @param {function(): void} options.onChange - Redraws the ruler after the number of periods changed.
+ * @returns {function(): void} Shows the chosen view after restored state changes.
+ */
+export function initRuler({ onToggle, onChange }) {
+    rulerSvg = d3.select('#ruler-view')
+        .append('svg')
+        .attr('preserveAspectRatio', 'xMidYMid meet');
+    rulerSvg.append('defs')
+        .append('clipPath')
+        .attr('id', 'ruler-clip')
+        .append('rect');
+
+    zoom = d3.zoom()
+        .on('zoom', event => {
+            transform = event.transform;
+            draw();
+        });
+    rulerSvg.call(zoom);
+
+    const syncView = () => {
+        const ruler = isRulerView();
+        d3.select('#visualization').classed('hidden', ruler);
+        d3.select('#ruler-view').classed('hidden', !ruler);
+        d3.select('#ruler-options').classed('hidden', !ruler);
+        d3.select('#circle-options').classed('hidden', ruler);
+    };
+    d3.select('#view-mode').on('change', () => {
+        syncView();
+        onToggle();
+    });
+    d3.select('#ruler-periods').on('input', () => {
+        // The zoom is relative to the whole ruler, so start again from the full view
+        rulerSvg.call(zoom.transform, d3.zoomIdentity);
+        onChange();
+    });
+    d3.select('#ruler-reset-button').on('click', () => rulerSvg.call(zoom.transform, d3.zoomIdentity));
+
+    syncView();
+    return syncView;
+}
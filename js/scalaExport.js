@@ -0,0 +1,93 @@
+// scalaExport.js
+// Download the currently displayed MOS, EDO or JI scale as Scala .scl/.kbm files
+import { parseInput, downloadFile } from './utils.js';
+import { sclDegrees, toScl, toKbm } from './theory/index.js';
+import { getPeriod, isOctave, periodName, equalDivisionName } from './period.js';
+import { describeJISet } from './ji.js';
+
+/**
+ * Describe the displayed scale for the chosen source, reading the layer's controls.
+ * @param {'mos'|'edo'|'ji'} source
+ * @returns {{baseName: string, description: string}}
+ */
+function describeScale(source) {
+    const period = getPeriod();
+    // Non-octave scales name their period, e.g. "_3-1" and ", period 3/1"
+    const periodSuffix = isOctave(period) ? '' : `_${periodName(period).replace(/[^0-9a-z.]+/gi, '-')}`;
+    const periodNote = isOctave(period) ? '' : `, period ${periodName(period)}`;
+    if (source === 'edo') {
+        const edo = parseInt(d3.select('#edo-input').property('value'), 10);
+        const name = equalDivisionName(edo, period);
+        return {
+            baseName: name.toLowerCase().replace(/\s+/g, '').replace(/[^0-9a-z.]+/g, '-').replace(/-$/, ''),
+            description: isOctave(period) ? `${edo} equal divisions of the octave` : `${edo} equal divisions of ${periodName(period)}`
+        };
+    }
+    if (source === 'ji') {
+        const { baseName, description } = describeJISet();
+        return {
+            baseName: `${baseName}${periodSuffix}`,
+            description: `${description}${periodNote}`
+        };
+    }
+    const generator = d3.select('#mos-generator-input').property('value').trim();
+    const stacks = d3.select('#mos-stacks-input').property('value');
+    const down = parseInt(d3.select('#mos-stacks-down-input').property('value'), 10) || 0;
+    const mosText = d3.select('#mos-group .mos-label--selected');
+    const pattern = mosText.empty() ? '' : ` (${mosText.text()})`;
+    return {
+        baseName: `mos_${generator.replace(/[^0-9a-z.]+/gi, '-')}_${stacks}${down ? `_${down}down` : ''}${periodSuffix}`,
+        description: `Generator ${generator}, ${stacks} stacks${down ? ` up and ${down} down` : ''}${pattern}${periodNote}`
+    };
+}
+
+/**
+ * Read the keyboard mapping reference from the export controls.
+ * @returns {{referenceNote: number, referenceFrequency: number}|null} Null if an input is invalid.
+ */
+function getKbmReference() {
+    try {
+        return {
+            referenceNote: parseInput(d3.select('#export-reference-note').property('value'), {
+                type: 'int',
+                min: 0,
+                max: 127,
+                selector: '#export-reference-note',
+                label: 'Reference MIDI note'
+            }),
+            referenceFrequency: parseInput(d3.select('#export-reference-frequency').property('value'), {
+                type: 'float',
+                min: 1,
+                max: 20000,
+                selector: '#export-reference-frequency',
+                label: 'Reference frequency'
+            })
+        };
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Wire up the Scala export buttons.
+ * @param {Object} options
+ * @param {function(string): Array<{cents: number, numerator?: number, denominator?: number}>} options.getPitches
+ *   Returns the pitches currently drawn by a layer ('mos', 'edo' or 'ji').
+ */
+export function initScalaExport({ getPitches }) {
+    d3.select('#export-scl-button').on('click', () => {
+        const source = d3.select('#export-source').property('value');
+        const { baseName, description } = describeScale(source);
+        const name = `${baseName}.scl`;
+        downloadFile(name, toScl({ name, description, pitches: getPitches(source), period: getPeriod() }));
+    });
+
+    d3.select('#export-kbm-button').on('click', () => {
+        const reference = getKbmReference();
+        if (!reference) return;
+        const source = d3.select('#export-source').property('value');
+        const { baseName } = describeScale(source);
+        const name = `${baseName}.kbm`;
+        downloadFile(name, toKbm({ name, size: sclDegrees(getPitches(source), getPeriod()).length, ...reference }));
+    });
+}
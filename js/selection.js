@@ -0,0 +1,115 @@
+// selection.js
+// Shared pitch selection for auditioning dyads and chords across the EDO, JI and MOS layers
+import { playInterval } from './sound.js';
+
+// Selected pitches, in the order they were picked
+let selectedNotes = [];
+
+// Callbacks notified whenever the selection changes
+const listeners = [];
+
+/**
+ * Build the key that identifies a pitch on a given layer.
+ * @param {string} layer - 'edo', 'ji' or 'mos'.
+ * @param {number} cents - Pitch in cents.
+ * @returns {string}
+ */
+export function selectionKey(layer, cents) {
+    return `${layer}:${cents.toFixed(5)}`;
+}
+
+/**
+ * Whether the pitch on the given layer is selected.
+ * @param {string} layer
+ * @param {number} cents
+ * @returns {boolean}
+ */
+export function isSelected(layer, cents) {
+    const key = selectionKey(layer, cents);
+    return selectedNotes.some(note => note.key === key);
+}
+
+/**
+ * Add the pitch to the selection, or remove it if already selected.
+ * @param {{layer: string, cents: number, label: string}} note
+ * @returns {boolean} True if the pitch is selected afterwards.
+ */
+export function toggleSelection({ layer, cents, label }) {
+    const key = selectionKey(layer, cents);
+    const existing = selectedNotes.findIndex(note => note.key === key);
+    if (existing === -1) {
+        selectedNotes.push({ key, layer, cents, label });
+    } else {
+        selectedNotes.splice(existing, 1);
+    }
+    notifyListeners();
+    return existing === -1;
+}
+
+/**
+ * Remove every pitch from the selection.
+ */
+export function clearSelection() {
+    selectedNotes = [];
+    d3.selectAll('#visualization .selected, #ruler-view .selected').classed('selected', false);
+    notifyListeners();
+}
+
+/**
+ * Get the selected pitches.
+ * @returns {Array<{key: string, layer: string, cents: number, label: string}>}
+ */
+export function getSelection() {
+    return selectedNotes.slice();
+}
+
+/**
+ * Get the distinct selected pitches in cents, so a pitch picked on two layers sounds once.
+ * @returns {number[]}
+ */
+export function getSelectedCents() {
+    const unique = [];
+    selectedNotes.forEach(note => {
+        if (!unique.some(cents => Math.abs(cents - note.cents) < 1e-6)) {
+            unique.push(note.cents);
+        }
+    });
+    return unique;
+}
+
+/**
+ * Register a callback that runs whenever the selection changes.
+ * @param {function(Array): void} callback - Receives the current selection.
+ */
+export function onSelectionChange(callback) {
+    listeners.push(callback);
+}
+
+function notifyListeners() {
+    const selection = getSelection();
+    listeners.forEach(callback => callback(selection));
+}
+
+/**
+ * Attach the shared click behaviour to a D3 selection of pitch elements:
+ * a plain click plays the pitch, a shift-click toggles it in the selection.
+ * Also marks elements that are already selected, so the selection survives re-renders.
+ *
+ * @param {d3.Selection} selection - The D3 selection (e.g., circles, lines).
+ * @param {string} layer - 'edo', 'ji' or 'mos'.
+ * @param {function} getCents - Callback (d) => number for the pitch in cents.
+ * @param {function} getLabel - Callback (d) => string describing the pitch.
+ */
+export function attachPitchHandlers(selection, layer, getCents, getLabel) {
+    selection
+        .classed('selected', d => isSelected(layer, getCents(d)))
+        .on('click', function(event, d) {
+            const cents = getCents(d);
+            if (event.shiftKey) {
+                const selected = toggleSelection({ layer, cents, label: getLabel(d) });
+                d3.select(this).classed('selected', selected);
+            } else {
+                playInterval(cents);
+            }
+        });
+}
@@ -1,48 +1,287 @@
 // sound.js
-
-// Base frequency (e.g., A4 = 440 Hz)
-const baseFrequency = 440;
+import { parseInput } from './utils.js';
 
 // Declare a singleton AudioContext
 let audioContext;
 
-// Function to play the interval
-export function playInterval(cents) {
-    const selectedWaveform = d3.select('#sound-waveform').property('value');
+// All voices are summed into one master gain so the output level stays predictable
+let masterGain;
 
-    // Check if sound is enabled
-    if (selectedWaveform === 'off') {
-        return; // Do not play sound
-    }
+// Audio stays silent until the user enables it with an explicit gesture
+let audioEnabled = false;
+
+// Voices currently sounding, oldest first (used for voice stealing)
+const activeVoices = [];
+
+// Upper bound on simultaneous voices; the oldest voice is released when exceeded
+const MAX_VOICES = 24;
+
+// Envelope timing in seconds
+const ATTACK_TIME = 0.01;
+const RELEASE_TIME = 0.05;
+
+// Delay between note onsets when a selection is played as an arpeggio
+const ARPEGGIO_STEP = 0.3;
 
-    // Create AudioContext if not already created
+// The sustained 1/1 drone voice, if running
+let droneVoice = null;
+
+/**
+ * Create (or resume) the shared AudioContext.
+ * Must be called from a user gesture (e.g. a click) to satisfy browser autoplay policies.
+ * @returns {Promise<void>} Resolves once the context is running.
+ */
+export function enableAudio() {
     if (!audioContext) {
         audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        masterGain = audioContext.createGain();
+        masterGain.connect(audioContext.destination);
     }
+    audioEnabled = true;
+    return audioContext.state === 'suspended' ? audioContext.resume() : Promise.resolve();
+}
 
-    // Calculate the frequency of the interval
-    const frequency = baseFrequency * Math.pow(2, cents / 1200);
+/**
+ * Stop all voices and suspend the AudioContext to release the audio device.
+ */
+export function disableAudio() {
+    audioEnabled = false;
+    stopAllVoices();
+    if (audioContext && audioContext.state === 'running') {
+        audioContext.suspend();
+    }
+}
 
-    // Create an oscillator node
-    const oscillator = audioContext.createOscillator();
-    oscillator.type = selectedWaveform;
+/**
+ * Whether the user has enabled audio playback.
+ * @returns {boolean}
+ */
+export function isAudioEnabled() {
+    return audioEnabled;
+}
 
-    oscillator.frequency.setValueAtTime(frequency, audioContext.currentTime);
+/**
+ * Read the current sound settings from the audio controls, validating each input.
+ * @returns {{waveform: string, referenceFrequency: number, volume: number, duration: number}|null}
+ *   The settings, or null if any input is invalid (the error is shown on that input).
+ */
+function getSoundSettings() {
+    try {
+        return {
+            waveform: d3.select('#sound-waveform').property('value'),
+            referenceFrequency: parseInput(d3.select('#sound-reference-input').property('value'), {
+                type: 'float',
+                min: 1,
+                max: 20000,
+                selector: '#sound-reference-input',
+                label: 'Reference frequency'
+            }),
+            volume: parseInput(d3.select('#sound-volume-slider').property('value'), {
+                type: 'float',
+                min: 0,
+                max: 1,
+                label: 'Volume'
+            }),
+            duration: parseInput(d3.select('#sound-duration-input').property('value'), {
+                type: 'float',
+                min: 0.05,
+                max: 10,
+                selector: '#sound-duration-input',
+                label: 'Duration'
+            })
+        };
+    } catch (err) {
+        return null;
+    }
+}
 
-    // Create a gain node to control volume
-    const gainNode = audioContext.createGain();
+/**
+ * Start one oscillator voice with its own gain envelope.
+ * @param {Object} options
+ * @param {number} options.frequency - Frequency in Hz.
+ * @param {string} options.waveform - Oscillator type.
+ * @param {number} options.peak - Peak gain of the envelope.
+ * @param {number} options.startTime - AudioContext time at which the voice starts.
+ * @param {number} [options.duration] - Length in seconds; omit to sustain until releaseVoice().
+ * @returns {{oscillator: OscillatorNode, gainNode: GainNode}} The voice.
+ */
+function startVoice({ frequency, waveform, peak, startTime, duration }) {
+    // Steal the oldest voice if we are at the polyphony limit, never the drone: it keeps
+    // sounding until it is switched off
+    if (activeVoices.length >= MAX_VOICES) {
+        const oldest = activeVoices.find(voice => voice !== droneVoice);
+        if (oldest) releaseVoice(oldest);
+    }
 
-    // Connect the oscillator to the gain node and the gain node to the destination
+    const oscillator = audioContext.createOscillator();
+    oscillator.type = waveform;
+    oscillator.frequency.setValueAtTime(frequency, startTime);
+
+    const gainNode = audioContext.createGain();
     oscillator.connect(gainNode);
-    gainNode.connect(audioContext.destination);
+    gainNode.connect(masterGain);
+
+    // Short attack to avoid clicks
+    gainNode.gain.setValueAtTime(0.0001, startTime);
+    gainNode.gain.exponentialRampToValueAtTime(peak, startTime + ATTACK_TIME);
 
-    // Start the oscillator
-    oscillator.start();
+    const voice = { oscillator, gainNode };
+    activeVoices.push(voice);
 
-    // Stop the oscillator after a duration (e.g., 1 second)
-    oscillator.stop(audioContext.currentTime + 1);
+    oscillator.onended = () => {
+        oscillator.disconnect();
+        gainNode.disconnect();
+        const index = activeVoices.indexOf(voice);
+        if (index !== -1) activeVoices.splice(index, 1);
+    };
+
+    oscillator.start(startTime);
+
+    if (duration !== undefined) {
+        // Fade out smoothly over the duration
+        gainNode.gain.exponentialRampToValueAtTime(0.0001, startTime + duration);
+        oscillator.stop(startTime + duration);
+    }
+    return voice;
+}
+
+/**
+ * Fade a voice out quickly and stop it.
+ * @param {{oscillator: OscillatorNode, gainNode: GainNode}} voice
+ */
+function releaseVoice(voice) {
+    const now = audioContext.currentTime;
+    const index = activeVoices.indexOf(voice);
+    if (index !== -1) activeVoices.splice(index, 1);
+    voice.gainNode.gain.cancelScheduledValues(now);
+    voice.gainNode.gain.setTargetAtTime(0, now, RELEASE_TIME / 3);
+    try {
+        voice.oscillator.stop(now + RELEASE_TIME);
+    } catch (err) {
+        // Already stopped; nothing to do
+    }
+}
+
+/**
+ * Release every sounding voice, including the drone.
+ */
+export function stopAllVoices() {
+    if (!audioContext) return;
+    [...activeVoices].forEach(releaseVoice);
+    droneVoice = null;
+}
+
+/**
+ * Convert cents above the reference to a frequency in Hz.
+ * @param {number} cents
+ * @param {number} referenceFrequency
+ * @returns {number}
+ */
+function centsToFrequency(cents, referenceFrequency) {
+    return referenceFrequency * Math.pow(2, cents / 1200);
+}
+
+/**
+ * Play a single pitch relative to the reference frequency.
+ * @param {number} cents - Pitch in cents above the reference.
+ * @param {Object} [options]
+ * @param {number} [options.duration] - Overrides the duration setting (seconds).
+ */
+export function playInterval(cents, { duration } = {}) {
+    // Check if sound is enabled
+    if (!audioEnabled || !audioContext) {
+        return; // Do not play sound
+    }
+
+    const settings = getSoundSettings();
+    if (!settings || settings.volume === 0) {
+        return;
+    }
+
+    startVoice({
+        frequency: centsToFrequency(cents, settings.referenceFrequency),
+        waveform: settings.waveform,
+        peak: settings.volume,
+        startTime: audioContext.currentTime,
+        duration: duration ?? settings.duration
+    });
+}
+
+/**
+ * Play several pitches together or one after another.
+ * Each voice gets its own envelope; peaks are scaled by 1/sqrt(n) so chords do not clip.
+ * @param {number[]} centsList - Pitches in cents above the reference.
+ * @param {Object} [options]
+ * @param {'chord'|'arpeggio'} [options.mode='chord'] - Simultaneous or staggered onsets.
+ */
+export function playChord(centsList, { mode = 'chord' } = {}) {
+    if (!audioEnabled || !audioContext || centsList.length === 0) {
+        return;
+    }
+
+    const settings = getSoundSettings();
+    if (!settings || settings.volume === 0) {
+        return;
+    }
+
+    const sorted = [...centsList].sort((a, b) => a - b);
+    const peak = settings.volume / Math.sqrt(Math.min(sorted.length, MAX_VOICES));
+    const now = audioContext.currentTime;
+
+    sorted.forEach((cents, i) => {
+        // In arpeggio mode, notes enter one by one and all ring until the last one ends
+        const offset = mode === 'arpeggio' ? i * ARPEGGIO_STEP : 0;
+        const duration = mode === 'arpeggio'
+            ? settings.duration + (sorted.length - 1 - i) * ARPEGGIO_STEP
+            : settings.duration;
+        startVoice({
+            frequency: centsToFrequency(cents, settings.referenceFrequency),
+            waveform: settings.waveform,
+            peak,
+            startTime: now + offset,
+            duration
+        });
+    });
+}
+
+/**
+ * Start (or restart) a sustained drone on the 1/1 reference pitch.
+ * The drone picks up the current waveform, reference and volume settings.
+ */
+export function startDrone() {
+    if (!audioEnabled || !audioContext) {
+        return;
+    }
+    stopDrone();
+
+    const settings = getSoundSettings();
+    if (!settings || settings.volume === 0) {
+        return;
+    }
+
+    // Keep the drone quieter than played notes so it sits underneath them
+    droneVoice = startVoice({
+        frequency: settings.referenceFrequency,
+        waveform: settings.waveform,
+        peak: settings.volume * 0.5,
+        startTime: audioContext.currentTime
+    });
+}
+
+/**
+ * Stop the 1/1 drone if it is running.
+ */
+export function stopDrone() {
+    if (droneVoice) {
+        releaseVoice(droneVoice);
+        droneVoice = null;
+    }
+}
 
-    // Fade out the sound smoothly
-    gainNode.gain.setValueAtTime(1, audioContext.currentTime);
-    gainNode.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + 1);
+/**
+ * Whether the 1/1 drone is currently sounding.
+ * @returns {boolean}
+ */
+export function isDroneActive() {
+    return droneVoice !== null;
 }
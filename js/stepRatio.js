@@ -0,0 +1,127 @@
+// stepRatio.js
+// Alternative MOS entry: choose a pattern xL ys and a step ratio (hardness) L:s, and derive
+// the generator and number of stacks from them
+import { showError, clearError } from './utils.js';
+import { getPeriod, isOctave } from './period.js';
+import { setMosStackCount } from './mosLayers.js';
+import { parseMosPattern, parseStepRatio, generatorFromStepRatio, mosPatternName, stepRatioName } from './theory/index.js';
+
+/**
+ * Whether the MOS module is in pattern-and-step-ratio entry mode.
+ * @returns {boolean}
+ */
+function isRatioMode() {
+    return d3.select('#mos-entry-mode').property('value') === 'ratio';
+}
+
+/**
+ * Show the controls of the current entry mode. The generator is derived in ratio mode,
+ * so its own controls are disabled there.
+ */
+function syncEntryMode() {
+    const ratioMode = isRatioMode();
+    d3.select('#mos-ratio-entry').classed('hidden', !ratioMode);
+    d3.selectAll('#mos-generator-input, #mos-generator-slider').property('disabled', ratioMode);
+}
+
+/**
+ * Move the step ratio slider to the typed ratio, clamped to the slider's range.
+ */
+function syncHardnessSlider() {
+    const slider = d3.select('#mos-hardness-slider');
+    try {
+        const ratio = parseStepRatio(d3.select('#mos-hardness-input').property('value'));
+        slider.property('value', Math.min(Math.max(ratio, Number(slider.attr('min'))), Number(slider.attr('max'))));
+    } catch (err) {
+        // The invalid input is reported by applyStepRatio
+    }
+}
+
+/**
+ * Read the pattern and step ratio inputs, flagging whichever is invalid.
+ * @returns {{largeCount: number, smallCount: number, ratio: number}|null} Null if an input is invalid.
+ */
+function readPatternAndRatio() {
+    let pattern;
+    let ratio;
+    try {
+        pattern = parseMosPattern(d3.select('#mos-ratio-pattern-input').property('value'));
+        clearError('#mos-ratio-pattern-input');
+    } catch (err) {
+        showError('#mos-ratio-pattern-input', err.message);
+    }
+    try {
+        ratio = parseStepRatio(d3.select('#mos-hardness-input').property('value'));
+        clearError('#mos-hardness-input');
+    } catch (err) {
+        showError('#mos-hardness-input', err.message);
+    }
+    return pattern && ratio ? { ...pattern, ratio } : null;
+}
+
+/**
+ * Write the generator and stacks for the chosen pattern and step ratio into the MOS inputs.
+ * @returns {boolean} Whether the inputs were valid and the generator was updated.
+ */
+function applyStepRatio() {
+    const names = d3.select('#mos-ratio-names');
+    const entry = readPatternAndRatio();
+    if (!entry) {
+        names.text('');
+        return false;
+    }
+
+    const period = getPeriod();
+    let generator;
+    try {
+        generator = generatorFromStepRatio(entry.largeCount, entry.smallCount, entry.ratio, period.cents);
+    } catch (err) {
+        showError('#mos-ratio-pattern-input', err.message);
+        names.text('');
+        return false;
+    }
+
+    d3.select('#mos-generator-input').property('value', parseFloat(generator.toFixed(3)).toString());
+    clearError('#mos-generator-input');
+    setMosStackCount(entry.largeCount + entry.smallCount - 1);
+
+    // Pattern names are only defined for the octave
+    const patternName = isOctave(period) ? mosPatternName(entry.largeCount, entry.smallCount) : null;
+    names.text(`${patternName ? `${patternName}, ` : ''}${stepRatioName(entry.ratio)} · bright generator ${generator.toFixed(3)}¢`);
+    return true;
+}
+
+/**
+ * Wire up the pattern-and-step-ratio entry of the MOS module.
+ * @param {Object} options
+ * @param {function(): void} options.onChange - Re-renders after the generator and stacks were updated.
+ * @returns {function(): void} Re-applies the entry mode after the period or restored state
+ *   changes, without calling onChange.
+ */
+export function initStepRatioEntry({ onChange }) {
+    function update() {
+        if (isRatioMode() && applyStepRatio()) onChange();
+    }
+
+    d3.select('#mos-entry-mode').on('change', () => {
+        syncEntryMode();
+        update();
+    });
+    d3.select('#mos-ratio-pattern-input').on('input', update);
+    d3.select('#mos-hardness-input').on('input', () => {
+        syncHardnessSlider();
+        update();
+    });
+    d3.select('#mos-hardness-slider').on('input', function() {
+        d3.select('#mos-hardness-input').property('value', parseFloat(this.value).toString());
+        update();
+    });
+
+    const refresh = () => {
+        syncEntryMode();
+        syncHardnessSlider();
+        if (isRatioMode()) applyStepRatio();
+    };
+    refresh();
+    return refresh;
+}
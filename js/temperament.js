@@ -0,0 +1,334 @@
+// temperament.js
+// Rank-2 temperament layer: temper the JI intervals with the period and the MOS generator,
+// using a mapping typed in or derived from commas, and show where each interval lands and its damage
+import {
+    attachTooltipHandlers, ensureGroup, showError, clearError, createChangeTracker, controlValues,
+    slideToPitch, cancelExit, fadeOutAndRemove
+} from './utils.js';
+import { readJIControls } from './ji.js';
+import { getPeriod, periodName } from './period.js';
+import {
+    convertToCents, reduceCents, ratioToMonzo, temperamentSubgroup, mappingFromCommas, parseCommas,
+    parseMapping, temperamentPeriod, alignGenerator, temperMonzo, poteGenerator, cteGenerator, tenneyDamage
+} from './theory/index.js';
+
+// Columns of the temperament table; key is the row field used for sorting
+const TABLE_COLUMNS = [
+    { key: 'cents', label: 'Interval', format: d => d.fraction },
+    { key: 'cents', label: 'Just (¢)', format: d => d.cents.toFixed(2) },
+    { key: 'generators', label: 'Generators', format: d => String(d.generators) },
+    { key: 'temperedCents', label: 'Tempered (¢)', format: d => d.temperedCents.toFixed(2) },
+    { key: 'absError', label: 'Error (¢)', format: d => formatSigned(d.error, 2) },
+    { key: 'damage', label: 'Damage', format: d => d.damage.toFixed(3) }
+];
+
+// Distance inside the circle of the tempered points and of their generator counts
+const POINT_INSET = 24;
+const LABEL_INSET = 38;
+
+// Current table sort, changed by clicking a column header
+let sortColumn = 0;
+let sortAscending = true;
+
+// Rows of the last render, kept so the table can be re-sorted without recomputing
+let currentRows = [];
+
+// Inputs the table and readout were last computed from, and the circle the points were last drawn on
+const inputsChanged = createChangeTracker();
+const circleChanged = createChangeTracker();
+
+/**
+ * Format a number with an explicit sign.
+ * @param {number} value
+ * @param {number} decimals
+ * @returns {string}
+ */
+function formatSigned(value, decimals) {
+    const text = value.toFixed(decimals);
+    return value >= 0 && !text.startsWith('-') ? `+${text}` : text;
+}
+
+/**
+ * Write a mapping in bra notation, e.g. "⟨1 1 0], ⟨0 1 4]".
+ * @param {number[][]} mapping
+ * @returns {string}
+ */
+function formatMapping(mapping) {
+    return mapping.map(row => `⟨${row.join(' ')}]`).join(', ');
+}
+
+/**
+ * Read the temperament from the controls: the subgroup of the equave and the JI primes,
+ * and the mapping typed in or tempering out the listed commas. A mapping from commas is
+ * written for the generator closest to the target, so the MOS generator can be optimized
+ * in place. Problems are shown on the inputs and in the readout.
+ * @param {number} target - Preferred generator size in cents.
+ * @returns {{subgroup: number[], mapping: number[][], equave: number, period: number}|null}
+ *   Null if the temperament cannot be built.
+ */
+function readTemperament(target) {
+    const readout = d3.select('#temperament-mapping');
+    const controls = readJIControls();
+    if (!controls) {
+        readout.classed('error', true).text('Set a valid odd limit in the JI panel.');
+        return null;
+    }
+
+    const equave = getPeriod();
+    const fromCommas = d3.select('#temperament-source').property('value') === 'commas';
+    const inputSelector = fromCommas ? '#temperament-commas-input' : '#temperament-mapping-input';
+    clearError('#temperament-commas-input');
+    clearError('#temperament-mapping-input');
+
+    let subgroup;
+    try {
+        subgroup = temperamentSubgroup(controls.primes, equave);
+    } catch (err) {
+        readout.classed('error', true).text(err.message);
+        return null;
+    }
+
+    try {
+        const text = d3.select(inputSelector).property('value');
+        let mapping = fromCommas ? mappingFromCommas(parseCommas(text), subgroup) : parseMapping(text, subgroup.length);
+        const period = temperamentPeriod(mapping, equave.cents);
+        if (fromCommas) {
+            mapping = alignGenerator(mapping, cteGenerator(mapping, subgroup, equave.cents), period, target).mapping;
+        }
+        return { subgroup, mapping, equave: equave.cents, period };
+    } catch (err) {
+        showError(inputSelector, err.message);
+        readout.classed('error', true).text('');
+        return null;
+    }
+}
+
+/**
+ * Read the MOS generator that tunes the temperament.
+ * @returns {number|null} Generator in cents, or null if the input is invalid.
+ */
+function readGenerator() {
+    try {
+        return convertToCents(d3.select('#mos-generator-input').property('value'));
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Temper the JI intervals with the temperament and MOS generator from the controls, and show
+ * the result (or what is missing) in the readout.
+ * @param {Array<{cents: number, fraction: string, numerator?: number, denominator?: number}>} intervals
+ * @returns {Array<Object>} The tempered intervals; empty if the layer is off or cannot be built.
+ */
+function temperIntervals(intervals) {
+    const readout = d3.select('#temperament-mapping');
+    if (!d3.select('#temperament-toggle').property('checked')) {
+        readout.classed('error', false).text('');
+        return [];
+    }
+
+    const generator = readGenerator();
+    if (generator === null) {
+        readout.classed('error', true).text('Set a valid MOS generator to tune the temperament.');
+        return [];
+    }
+
+    const temperament = readTemperament(generator);
+    if (!temperament) {
+        return [];
+    }
+    const { subgroup, mapping, equave, period } = temperament;
+
+    // Series and chords from the JI module can use primes outside the ticked subgroup
+    let skipped = 0;
+    const rows = intervals
+        .filter(interval => Number.isInteger(interval.numerator) && Number.isInteger(interval.denominator))
+        .flatMap(interval => {
+            let monzo;
+            try {
+                monzo = ratioToMonzo(interval.numerator, interval.denominator, subgroup);
+            } catch (err) {
+                skipped++;
+                return [];
+            }
+            const tempered = temperMonzo(monzo, mapping, period, generator);
+            const error = tempered.cents - interval.cents;
+            return [{
+                ...interval,
+                periods: tempered.periods,
+                generators: tempered.generators,
+                temperedCents: reduceCents(tempered.cents, equave),
+                error,
+                absError: Math.abs(error),
+                damage: tenneyDamage(error, interval.numerator, interval.denominator)
+            }];
+        });
+
+    const worst = rows.reduce((max, row) => Math.max(max, row.absError), 0);
+    readout.classed('error', false).text(
+        `Subgroup ${subgroup.join('.')}, mapping ${formatMapping(mapping)}, ` +
+        `period ${periodName(getPeriod())}${mapping[0][0] > 1 ? ` ÷ ${mapping[0][0]}` : ''} = ${period.toFixed(3)}¢, ` +
+        `generator ${generator.toFixed(3)}¢` +
+        (rows.length ? `. Largest error ${worst.toFixed(2)}¢.` : '.') +
+        (skipped ? ` ${skipped} interval${skipped === 1 ? '' : 's'} outside the subgroup not shown.` : '')
+    );
+    return rows;
+}
+
+/**
+ * Draw the tempered position of every JI interval and update the table and readout.
+ * Each tempered point sits inside the circle, linked to its just interval on the circle and
+ * labelled with its generator count. Points are joined to their elements by fraction and
+ * slide to their new tempering when the generator changes; zooming or panning the circle
+ * only moves them.
+ * @param {d3.Selection} svg
+ * @param {number} centerX
+ * @param {number} centerY
+ * @param {number} radius
+ * @param {Object} layers
+ * @param {Array<{cents: number, fraction: string, numerator?: number, denominator?: number}>} layers.intervals -
+ *   Intervals drawn by the JI layer.
+ * @returns {Array<Object>} The tempered intervals.
+ */
+export function renderTemperament(svg, centerX, centerY, radius, { intervals }) {
+    const temperamentGroup = ensureGroup(svg, 'temperament-group');
+
+    // Recompute only when the intervals, the temperament, the generator or the period changed,
+    // and redraw only when that or the circle changed
+    const globalPeriod = getPeriod();
+    const changed = inputsChanged([
+        intervals.map(d => [d.fraction, d.cents, d.numerator, d.denominator]),
+        controlValues('#temperament-controls'), controlValues('#ji-controls'),
+        d3.select('#mos-generator-input').property('value'),
+        globalPeriod.cents, globalPeriod.numerator, globalPeriod.denominator
+    ]);
+    const moved = circleChanged([centerX, centerY, radius]);
+    if (!changed && !moved) {
+        return currentRows;
+    }
+    if (changed) {
+        currentRows = temperIntervals(intervals);
+        renderTable();
+    }
+
+    const equave = globalPeriod.cents;
+    const position = inset => cents => {
+        const angle = (cents / equave) * 2 * Math.PI - Math.PI / 2;
+        return [centerX + (radius - inset) * Math.cos(angle), centerY + (radius - inset) * Math.sin(angle)];
+    };
+    const slide = { getCents: d => d.temperedCents, periodCents: equave };
+
+    temperamentGroup.selectAll('line.temperament-link')
+        .data(currentRows, d => d.fraction)
+        .join(
+            enter => enter.append('line').attr('class', 'temperament-link'),
+            update => cancelExit(update),
+            exit => fadeOutAndRemove(exit)
+        )
+        .attr('x1', d => position(0)(d.cents)[0])
+        .attr('y1', d => position(0)(d.cents)[1])
+        .call(slideToPitch, { ...slide, position: position(POINT_INSET), attrs: ['x2', 'y2'] });
+
+    const points = temperamentGroup.selectAll('circle.temperament-point')
+        .data(currentRows, d => d.fraction)
+        .join(
+            enter => enter.append('circle').attr('class', 'temperament-point').attr('r', 4),
+            update => cancelExit(update),
+            exit => fadeOutAndRemove(exit)
+        )
+        .call(slideToPitch, { ...slide, position: position(POINT_INSET) });
+
+    temperamentGroup.selectAll('text.temperament-label')
+        .data(currentRows, d => d.fraction)
+        .join(
+            enter => enter.append('text')
+                .attr('class', 'temperament-label')
+                .attr('text-anchor', 'middle')
+                .attr('dominant-baseline', 'middle'),
+            update => cancelExit(update),
+            exit => fadeOutAndRemove(exit)
+        )
+        .text(d => `${d.generators}g`)
+        .call(slideToPitch, { ...slide, position: position(LABEL_INSET), attrs: ['x', 'y'] });
+
+    attachTooltipHandlers(points, d =>
+        `${d.fraction} → ${d.periods} period${Math.abs(d.periods) === 1 ? '' : 's'} + ${d.generators} generator${Math.abs(d.generators) === 1 ? '' : 's'}<br>` +
+        `Tempered: ${d.temperedCents.toFixed(2)}¢ (just ${d.cents.toFixed(2)}¢)<br>` +
+        `Error: ${formatSigned(d.error, 2)}¢, damage ${d.damage.toFixed(3)}`
+    );
+
+    return currentRows;
+}
+
+/**
+ * Fill the temperament table from currentRows in the current sort order.
+ */
+function renderTable() {
+    const table = d3.select('#temperament-table');
+    const column = TABLE_COLUMNS[sortColumn];
+    const rows = [...currentRows].sort((a, b) =>
+        (sortAscending ? 1 : -1) * (a[column.key] - b[column.key]));
+
+    table.select('thead tr')
+        .selectAll('th')
+        .data(TABLE_COLUMNS)
+        .join('th')
+        .attr('scope', 'col')
+        .attr('aria-sort', (d, i) => i === sortColumn ? (sortAscending ? 'ascending' : 'descending') : 'none')
+        .text((d, i) => d.label + (i === sortColumn ? (sortAscending ? ' ▲' : ' ▼') : ''))
+        .on('click', (event, d) => {
+            const index = TABLE_COLUMNS.indexOf(d);
+            sortAscending = index === sortColumn ? !sortAscending : true;
+            sortColumn = index;
+            renderTable();
+        });
+
+    table.select('tbody')
+        .selectAll('tr')
+        .data(rows)
+        .join('tr')
+        .selectAll('td')
+        .data(row => TABLE_COLUMNS.map(col => col.format(row)))
+        .join('td')
+        .text(d => d);
+}
+
+/**
+ * Show the comma or mapping input for the chosen source.
+ */
+function syncSource() {
+    const fromCommas = d3.select('#temperament-source').property('value') === 'commas';
+    d3.select('#temperament-commas-group').classed('hidden', !fromCommas);
+    d3.select('#temperament-mapping-group').classed('hidden', fromCommas);
+}
+
+/**
+ * Wire up the rank-2 temperament controls.
+ * @param {Object} options
+ * @param {function(): void} options.onChange - Re-renders the temperament layer after its inputs changed.
+ * @param {function(number): void} options.onOptimize - Receives an optimized generator in cents.
+ * @returns {function(): void} Re-applies the chosen source after restored state changes.
+ */
+export function initTemperament({ onChange, onOptimize }) {
+    function optimize(optimizer) {
+        const generator = readGenerator();
+        const temperament = readTemperament(generator === null ? 0 : generator);
+        if (!temperament) return;
+        onOptimize(optimizer(temperament.mapping, temperament.subgroup, temperament.equave));
+    }
+
+    d3.select('#temperament-source').on('change', () => {
+        syncSource();
+        onChange();
+    });
+    d3.selectAll('#temperament-commas-input, #temperament-mapping-input').on('input', function() {
+        clearTimeout(this.validationTimeout);
+        this.validationTimeout = setTimeout(onChange, 500);
+    });
+    d3.select('#temperament-pote-button').on('click', () => optimize(poteGenerator));
+    d3.select('#temperament-cte-button').on('click', () => optimize(cteGenerator));
+
+    syncSource();
+    return syncSource;
+}
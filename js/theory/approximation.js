@@ -0,0 +1,66 @@
+// theory/approximation.js
+// How well an equal division approximates JI intervals. Pure functions, no DOM access.
+import { getPrimeFactors, ratioToCents } from './math.js';
+
+/**
+ * The nearest step of an equal division to a pitch.
+ * @param {number} cents - Pitch in cents.
+ * @param {number} divisions - Number of equal divisions of the period (at least 1).
+ * @param {number} [period=1200] - Period in cents.
+ * @returns {{step: number, stepCents: number, error: number, relativeError: number}}
+ *   error is stepCents - cents; relativeError is the error as a fraction of one step.
+ */
+export function nearestStep(cents, divisions, period = 1200) {
+    const stepSize = period / divisions;
+    const step = Math.round(cents / stepSize);
+    const stepCents = step * stepSize;
+    const error = stepCents - cents;
+    return { step, stepCents, error, relativeError: error / stepSize };
+}
+
+/**
+ * Map each interval onto its nearest step of an equal division.
+ * @param {Array<{cents: number}>} intervals - E.g. the output of jiSet.
+ * @param {number} divisions - Number of equal divisions of the period (at least 1).
+ * @param {number} [period=1200] - Period in cents.
+ * @returns {Array<Object>} Each interval extended with the fields of nearestStep.
+ */
+export function approximateIntervals(intervals, divisions, period = 1200) {
+    return intervals.map(interval => ({ ...interval, ...nearestStep(interval.cents, divisions, period) }));
+}
+
+/**
+ * Check whether an equal division is consistent in an odd limit: for every pair of allowed
+ * odd numbers a > b, the nearest step to a/b must equal the nearest step to a minus the
+ * nearest step to b.
+ *
+ * @param {Object} options
+ * @param {number} options.divisions - Number of equal divisions of the period (at least 1).
+ * @param {number[]} options.primes - Allowed odd primes.
+ * @param {number} options.oddLimit - Largest odd number allowed as numerator or denominator.
+ * @param {number} [options.period=1200] - Period in cents.
+ * @returns {{consistent: boolean, inconsistencies: Array<{fraction: string, direct: number, composed: number}>}}
+ *   direct and composed are step counts of the unreduced ratio a/b.
+ */
+export function edoConsistency({ divisions, primes, oddLimit, period = 1200 }) {
+    const steps = cents => Math.round(cents * divisions / period);
+
+    const odds = [];
+    for (let n = 1; n <= oddLimit; n += 2) {
+        if (getPrimeFactors(n).every(p => primes.includes(p))) odds.push(n);
+    }
+
+    const inconsistencies = [];
+    odds.forEach(a => {
+        odds.forEach(b => {
+            if (a <= b) return;
+            const direct = steps(ratioToCents(a / b));
+            const composed = steps(ratioToCents(a)) - steps(ratioToCents(b));
+            if (direct !== composed) {
+                inconsistencies.push({ fraction: `${a}/${b}`, direct, composed });
+            }
+        });
+    });
+
+    return { consistent: inconsistencies.length === 0, inconsistencies };
+}
@@ -0,0 +1,16 @@
+// theory/edo.js
+// Equal divisions of the octave (or of any other period). Pure functions, no DOM access.
+
+/**
+ * The steps of an equal division of the period.
+ * @param {number} n - Number of divisions (0 gives an empty scale).
+ * @param {number} [period=1200] - Period in cents (e.g. 1901.955 for ED3).
+ * @returns {Array<{index: number, cents: number}>}
+ */
+export function edoSteps(n, period = 1200) {
+    const steps = [];
+    for (let i = 0; i < n; i++) {
+        steps.push({ index: i, cents: (i / n) * period });
+    }
+    return steps;
+}
@@ -0,0 +1,16 @@
+// theory/index.js
+// Public entry point for the tuning-math core. Every module here is DOM-free and runs
+// unchanged in the browser (as an ES module) and in Node.
+export { gcd, isPrime, getPrimeFactors, ratioToCents, reduceToOctave, reduceToPeriod, reduceCents } from './math.js';
+export { OCTAVE, convertToCents, detectInputFormat, parseInterval, parsePeriod } from './intervals.js';
+export { edoSteps } from './edo.js';
+export { jiSet, jiLimitSet, harmonicSegment, parseChord, jiChord, jiChordEdges } from './ji.js';
+export { stackGenerator, classifyMOS, mosChain, mosFamilyTree, mosGeneratorRange, mosModes, generatorFromStepRatio,
+    parseMosPattern, parseStepRatio } from './mos.js';
+export { mosPatternName, stepRatioName } from './tamnams.js';
+export { nearestStep, approximateIntervals, edoConsistency } from './approximation.js';
+export { rankingSubgroup, teError, scoreEdo } from './ranking.js';
+export { latticeAxis, latticeEquivalencePrime, latticeExponents, latticeKey, latticePosition, latticeEdges } from './lattice.js';
+export { ratioToMonzo, temperamentSubgroup, hermiteNormalForm, mappingFromCommas, parseCommas, parseMapping, temperamentPeriod,
+    alignGenerator, temperMonzo, poteGenerator, cteGenerator, tenneyDamage } from './temperament.js';
+export { formatSclPitch, sclDegrees, toScl, toKbm, parseScl } from './scala.js';
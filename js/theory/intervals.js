@@ -0,0 +1,102 @@
+// theory/intervals.js
+// Parsing of interval input in the formats the UI accepts. Pure functions, no DOM access.
+
+/**
+ * The octave as an interval object; the default period everywhere.
+ * @type {{cents: number, numerator: number, denominator: number}}
+ */
+export const OCTAVE = Object.freeze({ cents: 1200, numerator: 2, denominator: 1 });
+
+/**
+ * Automatically detect the input format and convert it to cents.
+ * Accepts cents (701.955), a ratio (3/2) or EDO steps (7\12).
+ * @param {string} inputValue
+ * @returns {number} The interval in cents.
+ * @throws {Error} With a user-facing message if the input cannot be parsed.
+ */
+export function convertToCents(inputValue) {
+    const value = inputValue.trim();
+
+    // Check for EDO steps format (contains backslash)
+    if (value.includes('\\')) {
+        const parts = value.split('\\');
+        if (parts.length === 2) {
+            const steps = parseFloat(parts[0]);
+            const edoValue = parseFloat(parts[1]);
+            if (!isNaN(steps) && !isNaN(edoValue) && edoValue > 0) {
+                // Convert EDO steps to cents: (steps/edo) * 1200
+                return (steps / edoValue) * 1200;
+            }
+        }
+        throw new Error('Invalid EDO format. Use n\\edo (e.g., 7\\12)');
+    }
+
+    // Check for JI ratio format (contains forward slash)
+    if (value.includes('/')) {
+        const parts = value.split('/');
+        if (parts.length === 2) {
+            const numerator = parseFloat(parts[0]);
+            const denominator = parseFloat(parts[1]);
+            if (!isNaN(numerator) && !isNaN(denominator) && numerator > 0 && denominator > 0) {
+                // Convert ratio to cents: 1200 * log2(n/d)
+                return 1200 * Math.log2(numerator / denominator);
+            }
+        }
+        throw new Error('Invalid ratio format. Use n/d (e.g., 3/2)');
+    }
+
+    // Otherwise, treat as cents (plain number)
+    const cents = parseFloat(value);
+    if (!isNaN(cents)) {
+        return cents;
+    }
+
+    throw new Error('Invalid input. Use cents (e.g., 701.955), ratio (e.g., 3/2), or EDO steps (e.g., 7\\12)');
+}
+
+/**
+ * Detect which interval format a string is written in.
+ * @param {string} inputValue
+ * @returns {{format: string, example: string}}
+ */
+export function detectInputFormat(inputValue) {
+    const value = inputValue.trim();
+
+    if (value.includes('\\')) {
+        return { format: 'EDO steps', example: 'e.g., 7\\12' };
+    } else if (value.includes('/')) {
+        return { format: 'JI ratio', example: 'e.g., 3/2' };
+    } else {
+        return { format: 'Cents', example: 'e.g., 701.955' };
+    }
+}
+
+/**
+ * Parse an interval like convertToCents, keeping the exact ratio when the input is a
+ * ratio of whole numbers (e.g. 3/1).
+ * @param {string} inputValue
+ * @returns {{cents: number, numerator?: number, denominator?: number}}
+ * @throws {Error} With a user-facing message if the input cannot be parsed.
+ */
+export function parseInterval(inputValue) {
+    const cents = convertToCents(inputValue);
+    const match = inputValue.trim().match(/^(\d+)\/(\d+)$/);
+    if (match) {
+        return { cents, numerator: parseInt(match[1], 10), denominator: parseInt(match[2], 10) };
+    }
+    return { cents };
+}
+
+/**
+ * Parse a period (equave) such as 2/1, 3/1, 1901.955 or 13\12.
+ * @param {string} inputValue
+ * @returns {{cents: number, numerator?: number, denominator?: number}}
+ * @throws {Error} If the input cannot be parsed or is not larger than a unison.
+ */
+export function parsePeriod(inputValue) {
+    const period = parseInterval(inputValue);
+    if (!(period.cents > 0)) {
+        throw new Error('Period must be larger than 1/1 (0 cents).');
+    }
+    return period;
+}
@@ -0,0 +1,246 @@
+// theory/ji.js
+// Just intonation interval sets. Pure functions, no DOM access.
+import { getPrimeFactors, reduceToPeriod, reduceCents, ratioToCents, gcd } from './math.js';
+import { OCTAVE } from './intervals.js';
+
+// Most tones a harmonic series segment or explicit chord may have
+const MAX_CHORD_TONES = 64;
+
+/**
+ * Whether a period is a ratio, in which case intervals are reduced into it exactly.
+ * @param {{numerator?: number, denominator?: number}} period
+ * @returns {boolean}
+ */
+function isRationalPeriod(period) {
+    return Number.isInteger(period.numerator) && Number.isInteger(period.denominator);
+}
+
+/**
+ * Reduce a ratio into the period. A rational period reduces the ratio exactly; any other
+ * period only reduces its cents, so the fraction is kept as given and numerator/denominator are omitted.
+ * @param {number} num - Positive integer.
+ * @param {number} den - Positive integer.
+ * @param {{cents: number, numerator?: number, denominator?: number}} period
+ * @returns {{cents: number, numerator?: number, denominator?: number, fraction: string}}
+ */
+function reduceInterval(num, den, period) {
+    const rationalPeriod = isRationalPeriod(period);
+    const { numerator, denominator } = rationalPeriod
+        ? reduceToPeriod(num, den, period)
+        : { numerator: num, denominator: den };
+    const cents = rationalPeriod
+        ? ratioToCents(numerator / denominator)
+        : reduceCents(ratioToCents(num / den), period.cents);
+    const exact = rationalPeriod ? { numerator, denominator } : {};
+    return { cents, ...exact, fraction: `${numerator}/${denominator}` };
+}
+
+/**
+ * Distinct odd primes of a ratio, used to color it by its highest prime.
+ * @param {number} num
+ * @param {number} den
+ * @returns {number[]}
+ */
+function oddPrimes(num, den) {
+    return [...new Set(getPrimeFactors(num).concat(getPrimeFactors(den)))].filter(prime => prime !== 2);
+}
+
+/**
+ * Generate the period-reduced odd-limit intervals built only from the given primes
+ * (the odd-limit tonality diamond restricted to a prime subgroup). The unison is excluded.
+ * Ratios are built from odd numbers, so with a 3/1 period and primes 3.5.7 this gives the
+ * Bohlen–Pierce style tritave-reduced set. A rational period reduces ratios exactly; any other period only reduces
+ * their cents, so the fraction is kept as generated and numerator/denominator are omitted.
+ *
+ * @param {Object} options
+ * @param {number[]} options.primes - Allowed odd primes.
+ * @param {number} options.oddLimit - Largest odd number allowed as numerator or denominator.
+ * @param {{cents: number, numerator?: number, denominator?: number}} [options.period=2/1]
+ * @returns {Array<{cents: number, primes: number[], numerator?: number, denominator?: number, fraction: string}>}
+ *   Unique intervals in generation order; primes lists the distinct primes of num and den.
+ */
+export function jiSet({ primes, oddLimit, period = OCTAVE }) {
+    const intervals = [];
+
+    for (let num = 1; num <= oddLimit; num += 2) {
+        for (let den = 1; den <= oddLimit; den += 2) {
+            if (num === den) continue;
+
+            const primeFactors = [...new Set(getPrimeFactors(num).concat(getPrimeFactors(den)))];
+
+            // Check if all prime factors are in the allowed primes
+            if (!primeFactors.every(p => primes.includes(p))) continue;
+
+            // Reduce the fraction to within the period and simplify
+            const { cents, ...exact } = reduceInterval(num, den, period);
+
+            // The period itself reduces to the unison
+            if (cents < 1e-6 || period.cents - cents < 1e-6) continue;
+
+            // Skip duplicates such as 3/1 and 9/3
+            if (intervals.some(interval => Math.abs(interval.cents - cents) < 1e-6)) continue;
+
+            intervals.push({ cents, primes: primeFactors, ...exact });
+        }
+    }
+
+    return intervals;
+}
+
+/**
+ * The harmonics from one number to another, e.g. 8–16, as a chord for jiChord.
+ * @param {number} from - Lowest harmonic (positive integer).
+ * @param {number} to - Highest harmonic.
+ * @returns {number[]}
+ * @throws {Error} If the range is empty or has too many harmonics.
+ */
+export function harmonicSegment(from, to) {
+    if (to <= from) throw new Error('The highest harmonic must be above the lowest.');
+    if (to - from + 1 > MAX_CHORD_TONES) throw new Error(`A series segment can have at most ${MAX_CHORD_TONES} harmonics.`);
+    return Array.from({ length: to - from + 1 }, (value, i) => from + i);
+}
+
+/**
+ * Parse an extended ratio chord such as "4:5:6:7".
+ * @param {string} text - Positive whole numbers separated by colons.
+ * @returns {number[]}
+ * @throws {Error} If the text is not a chord of at least two harmonics.
+ */
+export function parseChord(text) {
+    const members = text.split(':').map(member => member.trim());
+    if (members.length < 2 || members.some(member => !/^\d+$/.test(member) || parseInt(member, 10) === 0)) {
+        throw new Error('Enter a chord such as 4:5:6:7.');
+    }
+    if (members.length > MAX_CHORD_TONES) throw new Error(`A chord can have at most ${MAX_CHORD_TONES} tones.`);
+    return members.map(member => parseInt(member, 10));
+}
+
+/**
+ * The tones of an otonal chord (harmonics over the first one, e.g. 4:5:6:7 gives 1/1, 5/4,
+ * 3/2, 7/4) or of its utonal mirror (the first harmonic over each, giving 1/1, 8/5, 4/3, 8/7
+ * in the octave), reduced to the period. Tones that reduce to the same pitch are kept once.
+ * @param {number[]} harmonics - Chord members, the first being the root.
+ * @param {Object} [options]
+ * @param {boolean} [options.utonal=false]
+ * @param {{cents: number, numerator?: number, denominator?: number}} [options.period=2/1]
+ * @returns {Array<{cents: number, primes: number[], numerator?: number, denominator?: number, fraction: string, harmonic: number}>}
+ *   Tones in ascending order within the period, including the 1/1; harmonic is the chord member.
+ */
+export function jiChord(harmonics, { utonal = false, period = OCTAVE } = {}) {
+    const root = harmonics[0];
+    const tones = [];
+    harmonics.forEach(harmonic => {
+        const divisor = gcd(harmonic, root);
+        const [num, den] = utonal ? [root / divisor, harmonic / divisor] : [harmonic / divisor, root / divisor];
+        const tone = reduceInterval(num, den, period);
+        // The period itself reduces to the unison
+        if (period.cents - tone.cents < 1e-6) tone.cents = 0;
+        if (tones.some(existing => Math.abs(existing.cents - tone.cents) < 1e-6)) return;
+        tones.push({ ...tone, primes: oddPrimes(num, den), harmonic });
+    });
+    return tones.sort((a, b) => a.cents - b.cents);
+}
+
+/**
+ * The dyads between neighbouring tones of a chord from jiChord, going round the circle:
+ * the sides of the chord's polygon.
+ * @param {Array<Object>} tones - Result of jiChord (ascending).
+ * @param {Object} [options] - The same utonal and period options given to jiChord.
+ * @returns {Array<{from: Object, to: Object, cents: number, primes: number[], numerator?: number, denominator?: number, fraction: string}>}
+ *   One side per pair of neighbours (a single side for a dyad); cents is the interval from
+ *   the lower tone up to the next.
+ */
+export function jiChordEdges(tones, { utonal = false, period = OCTAVE } = {}) {
+    if (tones.length < 2) return [];
+    const pairs = tones.map((tone, i) => [tone, tones[(i + 1) % tones.length]]);
+    return (tones.length === 2 ? pairs.slice(0, 1) : pairs).map(([from, to]) => {
+        const divisor = gcd(from.harmonic, to.harmonic);
+        const [num, den] = utonal
+            ? [from.harmonic / divisor, to.harmonic / divisor]
+            : [to.harmonic / divisor, from.harmonic / divisor];
+        return { from, to, ...reduceInterval(num, den, period), primes: oddPrimes(num, den) };
+    });
+}
+
+// Most intervals a limit may generate, so a loose bound cannot stall the page
+const MAX_LIMIT_INTERVALS = 500;
+
+/**
+ * Add the odd prime subgroup monzos with taxicab complexity (sum of absolute exponents)
+ * up to a bound, as num/den pairs.
+ * @param {number[]} primes - Odd primes.
+ * @param {number} complexity
+ * @returns {Array<[number, number]>} Every pair except 1/1.
+ */
+function boundedMonzoRatios(primes, complexity) {
+    const ratios = [];
+    const visit = (index, remaining, num, den) => {
+        if (index === primes.length) {
+            if (num !== den) ratios.push([num, den]);
+            return;
+        }
+        for (let exponent = -remaining; exponent <= remaining; exponent++) {
+            const power = primes[index] ** Math.abs(exponent);
+            visit(index + 1, remaining - Math.abs(exponent), exponent > 0 ? num * power : num, exponent < 0 ? den * power : den);
+        }
+    };
+    visit(0, complexity, 1, 1);
+    return ratios;
+}
+
+/**
+ * Generate the intervals within the period that meet a limit other than the odd limit (see jiSet).
+ * Except for the prime limit, the criterion applies to the ratio n/d as it lies in the period,
+ * and every prime of n and d must be 2 or one of the given primes:
+ * - 'integer': n and d up to bound;
+ * - 'numden': n up to bound.numerator and d up to bound.denominator;
+ * - 'tenney': Tenney height log2(n·d) up to bound;
+ * - 'benedetti': Benedetti height n·d up to bound;
+ * - 'prime': products of the given primes (the primes up to the prime limit) whose exponents add up,
+ *   in absolute value, to at most bound, reduced into the period.
+ * @param {Object} options
+ * @param {'integer'|'numden'|'tenney'|'benedetti'|'prime'} options.criterion
+ * @param {number|{numerator: number, denominator: number}} options.bound
+ * @param {number[]} options.primes - Allowed odd primes.
+ * @param {{cents: number, numerator?: number, denominator?: number}} [options.period=2/1]
+ * @returns {Array<{cents: number, primes: number[], numerator?: number, denominator?: number, fraction: string}>}
+ *   Unique intervals in ascending order, without the unison; primes lists the odd primes of the ratio.
+ * @throws {Error} If the limit generates more than MAX_LIMIT_INTERVALS intervals.
+ */
+export function jiLimitSet({ criterion, bound, primes, period = OCTAVE }) {
+    const intervals = [];
+    const add = (num, den) => {
+        const interval = reduceInterval(num, den, period);
+        if (interval.cents < 1e-6 || period.cents - interval.cents < 1e-6) return;
+        if (intervals.some(existing => Math.abs(existing.cents - interval.cents) < 1e-6)) return;
+        if (intervals.length === MAX_LIMIT_INTERVALS) {
+            throw new Error(`This limit gives more than ${MAX_LIMIT_INTERVALS} intervals; choose a smaller one.`);
+        }
+        intervals.push({ ...interval, primes: oddPrimes(num, den) });
+    };
+
+    if (criterion === 'prime') {
+        boundedMonzoRatios(primes, bound).forEach(([num, den]) => add(num, den));
+        return intervals.sort((a, b) => a.cents - b.cents);
+    }
+
+    // Largest numerator allowed over a denominator, and the largest denominator to try
+    const limits = {
+        integer: { maxNumerator: () => bound, maxDenominator: bound },
+        numden: { maxNumerator: () => bound.numerator, maxDenominator: bound.denominator },
+        tenney: { maxNumerator: den => Math.floor(2 ** bound / den), maxDenominator: Math.floor(Math.sqrt(2 ** bound)) },
+        benedetti: { maxNumerator: den => Math.floor(bound / den), maxDenominator: Math.floor(Math.sqrt(bound)) }
+    }[criterion];
+    if (!limits) throw new Error(`Unknown limit "${criterion}".`);
+
+    const allowed = [2, ...primes];
+    for (let den = 1; den <= limits.maxDenominator; den++) {
+        for (let num = den + 1; num <= limits.maxNumerator(den); num++) {
+            if (ratioToCents(num / den) >= period.cents - 1e-6) break;
+            if (gcd(num, den) !== 1) continue;
+            if (!getPrimeFactors(num).concat(getPrimeFactors(den)).every(prime => allowed.includes(prime))) continue;
+            add(num, den);
+        }
+    }
+    return intervals.sort((a, b) => a.cents - b.cents);
+}
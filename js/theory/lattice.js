@@ -0,0 +1,104 @@
+// theory/lattice.js
+// Positions of JI ratios on a lattice of prime exponents (a Tonnetz). Pure functions, no DOM access.
+import { getPrimeFactors, isPrime } from './math.js';
+
+// Unit vector of each prime's axis, with y pointing up: 3 horizontal, 5 vertical, and the other
+// primes as shorter oblique axes, projecting the higher-dimensional lattice onto the plane
+const LATTICE_AXES = {
+    2: [-0.35, -0.45],
+    3: [1, 0],
+    5: [0, 1],
+    7: [0.45, 0.35],
+    11: [-0.45, 0.35],
+    13: [0.35, -0.45],
+    17: [-0.2, 0.55],
+    19: [0.55, -0.2]
+};
+
+/**
+ * Axis of a prime on the lattice. Primes without a listed axis get an oblique one at the
+ * golden angle from the previous prime.
+ * @param {number} prime
+ * @returns {number[]} [x, y] with y pointing up.
+ */
+export function latticeAxis(prime) {
+    if (LATTICE_AXES[prime]) return LATTICE_AXES[prime];
+    const angle = prime * Math.PI * (3 - Math.sqrt(5));
+    return [0.4 * Math.cos(angle), 0.4 * Math.sin(angle)];
+}
+
+/**
+ * The prime left out of the lattice: the period's prime for a prime period p/1 such as 3/1,
+ * otherwise 2 (octave equivalence).
+ * @param {{numerator?: number, denominator?: number}} period
+ * @returns {number}
+ */
+export function latticeEquivalencePrime(period) {
+    return period.denominator === 1 && isPrime(period.numerator) ? period.numerator : 2;
+}
+
+/**
+ * Prime exponents of a ratio, leaving out the prime of the period it is reduced by
+ * (2 for octave-equivalent lattices).
+ * @param {number} numerator - Positive integer.
+ * @param {number} denominator - Positive integer.
+ * @param {number} [equivalencePrime=2]
+ * @returns {Array<[number, number]>} [prime, exponent] pairs in ascending prime order, zeros omitted.
+ */
+export function latticeExponents(numerator, denominator, equivalencePrime = 2) {
+    const exponents = new Map();
+    [[numerator, 1], [denominator, -1]].forEach(([value, sign]) => {
+        getPrimeFactors(value).forEach(prime => {
+            for (let rest = value; rest % prime === 0; rest /= prime) {
+                exponents.set(prime, (exponents.get(prime) || 0) + sign);
+            }
+        });
+    });
+    return [...exponents]
+        .filter(([prime, exponent]) => prime !== equivalencePrime && exponent !== 0)
+        .sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Identify a lattice point by its exponents, e.g. "3:1,5:-1".
+ * @param {Array<[number, number]>} exponents - Result of latticeExponents.
+ * @returns {string}
+ */
+export function latticeKey(exponents) {
+    return exponents.map(([prime, exponent]) => `${prime}:${exponent}`).join(',');
+}
+
+/**
+ * Position of a lattice point in lattice units.
+ * @param {Array<[number, number]>} exponents - Result of latticeExponents.
+ * @returns {{x: number, y: number}} y points up.
+ */
+export function latticePosition(exponents) {
+    return exponents.reduce((position, [prime, exponent]) => {
+        const [dx, dy] = latticeAxis(prime);
+        return { x: position.x + exponent * dx, y: position.y + exponent * dy };
+    }, { x: 0, y: 0 });
+}
+
+/**
+ * The lattice lines between points one step of a single prime apart.
+ * @param {Array<{exponents: Array<[number, number]>}>} points
+ * @returns {Array<{source: Object, target: Object, prime: number}>} source is the lower point.
+ */
+export function latticeEdges(points) {
+    const byKey = new Map(points.map(point => [latticeKey(point.exponents), point]));
+    const primes = [...new Set(points.flatMap(point => point.exponents.map(([prime]) => prime)))];
+    const edges = [];
+    points.forEach(point => {
+        primes.forEach(prime => {
+            const stepped = new Map(point.exponents);
+            stepped.set(prime, (stepped.get(prime) || 0) + 1);
+            const key = latticeKey([...stepped]
+                .filter(([, exponent]) => exponent !== 0)
+                .sort((a, b) => a[0] - b[0]));
+            const target = byKey.get(key);
+            if (target) edges.push({ source: point, target, prime });
+        });
+    });
+    return edges;
+}
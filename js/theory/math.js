@@ -0,0 +1,102 @@
+// theory/math.js
+// Number-theory helpers shared by the tuning modules. Pure functions, no DOM access.
+
+/**
+ * Greatest common divisor of two integers (Euclid's algorithm).
+ * @param {number} a
+ * @param {number} b
+ * @returns {number} Always non-negative; gcd(0, 0) is 0.
+ */
+export function gcd(a, b) {
+    a = Math.abs(a);
+    b = Math.abs(b);
+    while (b) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+}
+
+/**
+ * Check whether an integer is prime.
+ * @param {number} n
+ * @returns {boolean}
+ */
+export function isPrime(n) {
+    if (!Number.isInteger(n) || n <= 1) return false;
+    if (n <= 3) return true;
+    if (n % 2 === 0 || n % 3 === 0) return false;
+    for (let i = 5; i * i <= n; i += 6) {
+        if (n % i === 0 || n % (i + 2) === 0) return false;
+    }
+    return true;
+}
+
+/**
+ * Distinct prime factors of a positive integer, in ascending order.
+ * @param {number} n
+ * @returns {number[]} Empty for 1 (and for anything below 2).
+ */
+export function getPrimeFactors(n) {
+    const factors = [];
+    let divisor = 2;
+    while (n >= 2 && divisor * divisor <= n) {
+        if (n % divisor === 0) {
+            factors.push(divisor);
+            while (n % divisor === 0) n /= divisor;
+        }
+        divisor++;
+    }
+    if (n >= 2) factors.push(n);
+    return factors;
+}
+
+/**
+ * Convert a frequency ratio to cents.
+ * @param {number} ratio - Must be positive.
+ * @returns {number}
+ */
+export function ratioToCents(ratio) {
+    return 1200 * Math.log2(ratio);
+}
+
+/**
+ * Reduce a fraction into the octave [1, 2) and simplify it.
+ * @param {number} numerator - Positive integer.
+ * @param {number} denominator - Positive integer.
+ * @returns {{numerator: number, denominator: number}}
+ */
+export function reduceToOctave(numerator, denominator) {
+    return reduceToPeriod(numerator, denominator, { numerator: 2, denominator: 1 });
+}
+
+/**
+ * Reduce a fraction into [1, period) and simplify it.
+ * @param {number} numerator - Positive integer.
+ * @param {number} denominator - Positive integer.
+ * @param {{numerator: number, denominator: number}} period - Rational period larger than 1/1 (e.g. 3/1).
+ * @returns {{numerator: number, denominator: number}}
+ */
+export function reduceToPeriod(numerator, denominator, period) {
+    // Adjust the fraction to be within [1, period)
+    while (numerator * period.denominator >= denominator * period.numerator) {
+        numerator *= period.denominator;
+        denominator *= period.numerator;
+    }
+    while (numerator < denominator) {
+        numerator *= period.numerator;
+        denominator *= period.denominator;
+    }
+    // Simplify fraction
+    const gcdValue = gcd(numerator, denominator);
+    return { numerator: numerator / gcdValue, denominator: denominator / gcdValue };
+}
+
+/**
+ * Reduce a pitch in cents into [0, period).
+ * @param {number} cents
+ * @param {number} [period=1200] - Period in cents.
+ * @returns {number}
+ */
+export function reduceCents(cents, period = 1200) {
+    return ((cents % period) + period) % period;
+}
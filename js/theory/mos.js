@@ -0,0 +1,291 @@
+// theory/mos.js
+// Generator chains and moment-of-symmetry detection. Pure functions, no DOM access.
+import { gcd } from './math.js';
+
+// Two step sizes closer than this (in cents) are treated as equal
+const STEP_TOLERANCE = 1e-4;
+
+/**
+ * Stack a generator up and down from the unison and reduce each note into the period.
+ * @param {number} generator - Generator in cents.
+ * @param {number} stacks - Number of generators to stack upward (0 gives just the unison).
+ * @param {number} [period=1200] - Period in cents.
+ * @param {number} [down=0] - Number of generators to stack downward, numbered -1, -2, …
+ * @returns {Array<{stack: number, cents: number}>} Notes in stacking order, from stack -down to stack +stacks.
+ */
+export function stackGenerator(generator, stacks, period = 1200, down = 0) {
+    const notes = [];
+    // Start at +0 rather than -0 when nothing is stacked downward
+    const lowest = down > 0 ? -down : 0;
+    for (let i = lowest; i <= stacks; i++) {
+        const cents = ((i * generator % period) + period) % period;
+        notes.push({ stack: i, cents });
+    }
+    return notes;
+}
+
+/**
+ * Classify a set of pitches as a moment-of-symmetry scale.
+ * A set is reported as MOS when it has exactly two step sizes whose counts are coprime.
+ *
+ * @param {number[]} cents - Pitches in cents (any order, reduced into the period).
+ * @param {number} [period=1200] - Period in cents.
+ * @returns {{isMOS: boolean, steps: number[], largeStep: number|null, smallStep: number|null,
+ *   largeCount: number, smallCount: number}}
+ *   steps are the successive intervals of the sorted scale, wrapping around the period.
+ */
+export function classifyMOS(cents, period = 1200) {
+    const sorted = [...cents].sort((a, b) => a - b);
+    const steps = sorted.map((value, i) => {
+        const next = i + 1 < sorted.length ? sorted[i + 1] : sorted[0] + period;
+        return next - value;
+    });
+
+    const result = { isMOS: false, steps, largeStep: null, smallStep: null, largeCount: 0, smallCount: 0 };
+
+    // Group step sizes within tolerance
+    const sizes = [];
+    steps.forEach(step => {
+        if (!sizes.some(size => Math.abs(size - step) < STEP_TOLERANCE)) sizes.push(step);
+    });
+
+    // Coinciding notes (zero-size steps) never form a MOS
+    if (sizes.length !== 2 || sizes.some(size => size < STEP_TOLERANCE)) {
+        return result;
+    }
+
+    const [smallStep, largeStep] = sizes.sort((a, b) => a - b);
+    const smallCount = steps.filter(step => Math.abs(step - smallStep) < STEP_TOLERANCE).length;
+    const largeCount = steps.length - smallCount;
+
+    return {
+        isMOS: gcd(largeCount, smallCount) === 1,
+        steps,
+        largeStep,
+        smallStep,
+        largeCount,
+        smallCount
+    };
+}
+
+/**
+ * Every MOS reached by stacking a generator, in order of increasing size.
+ * @param {number} generator - Generator in cents.
+ * @param {number} [period=1200] - Period in cents.
+ * @param {number} [maxNotes=50] - Largest scale size to try.
+ * @returns {Array<{stacks: number, notes: number, largeCount: number, smallCount: number,
+ *   largeStep: number, smallStep: number}>}
+ */
+export function mosChain(generator, period = 1200, maxNotes = 50) {
+    const chain = [];
+    for (let stacks = 1; stacks < maxNotes; stacks++) {
+        const mos = classifyMOS(stackGenerator(generator, stacks, period).map(note => note.cents), period);
+        if (mos.isMOS) {
+            const { largeCount, smallCount, largeStep, smallStep } = mos;
+            chain.push({ stacks, notes: stacks + 1, largeCount, smallCount, largeStep, smallStep });
+        }
+    }
+    return chain;
+}
+
+/**
+ * The mediant of two fractions.
+ * @param {{numerator: number, denominator: number}} lower
+ * @param {{numerator: number, denominator: number}} upper
+ * @returns {{numerator: number, denominator: number}}
+ */
+function mediant(lower, upper) {
+    return {
+        numerator: lower.numerator + upper.numerator,
+        denominator: lower.denominator + upper.denominator
+    };
+}
+
+/**
+ * The period complement of a fraction of the period (1 - n/d).
+ * @param {{numerator: number, denominator: number}} fraction
+ * @returns {{numerator: number, denominator: number}}
+ */
+function complement(fraction) {
+    return { numerator: fraction.denominator - fraction.numerator, denominator: fraction.denominator };
+}
+
+/**
+ * The pattern produced by any generator strictly inside a generator range, with the range
+ * given as the bright generators.
+ * @param {{numerator: number, denominator: number}} lower - Fraction of the period, at least 1/2.
+ * @param {{numerator: number, denominator: number}} upper - Fraction of the period.
+ * @returns {{notes: number, largeCount: number, smallCount: number, lower: Object, upper: Object,
+ *   mediant: {numerator: number, denominator: number}}}
+ *   If the generators above half the period are dark, the range is their complement.
+ */
+function mosRangeNode(lower, upper) {
+    const notes = Math.max(lower.denominator, upper.denominator);
+    const middle = mediant(lower, upper);
+    const mos = classifyMOS(stackGenerator(middle.numerator / middle.denominator, notes - 1, 1).map(note => note.cents), 1);
+    const node = { notes, largeCount: mos.largeCount, smallCount: mos.smallCount };
+
+    // As in mosModes: the generator is bright when stacking it up from the tonic gives the
+    // mode that sorts first, large steps first
+    const letters = mos.steps.map(step => (Math.abs(step - mos.largeStep) < STEP_TOLERANCE ? 'L' : 's')).join('');
+    const bright = letters.split('').every((_, i) => letters <= letters.slice(i) + letters.slice(0, i));
+    return bright
+        ? { ...node, lower, upper, mediant: middle }
+        : { ...node, lower: complement(upper), upper: complement(lower), mediant: complement(middle) };
+}
+
+/**
+ * The MOS family (Stern–Brocot) tree of single-period patterns.
+ * Each node covers an open range of bright generators, as fractions of the period; its
+ * mediant gives the basic tuning (L:s = 2:1). The tree is built on the generators above
+ * half the period, whose mediants split each range between its children; a node whose
+ * bright generators lie below half the period shows the complement of that range.
+ * The root is 1L 1s, for generators between 1/2 and 1/1 of the period.
+ *
+ * @param {number} depth - Number of levels below the root.
+ * @returns {{notes: number, largeCount: number, smallCount: number, lower: Object, upper: Object,
+ *   mediant: Object, children: Array<Object>}}
+ */
+export function mosFamilyTree(depth) {
+    function build(lower, upper, level) {
+        const node = mosRangeNode(lower, upper);
+        const middle = mediant(lower, upper);
+        node.children = level < depth
+            ? [build(lower, middle, level + 1), build(middle, upper, level + 1)]
+            : [];
+        return node;
+    }
+    return build({ numerator: 1, denominator: 2 }, { numerator: 1, denominator: 1 }, 0);
+}
+
+/**
+ * The range of bright generators that produce a pattern xL ys with a single period.
+ * @param {number} largeCount
+ * @param {number} smallCount
+ * @returns {{notes: number, largeCount: number, smallCount: number, lower: Object, upper: Object, mediant: Object}}
+ *   lower, upper and mediant are fractions of the period.
+ * @throws {Error} If the counts are not positive or share a factor (a multi-period MOS).
+ */
+export function mosGeneratorRange(largeCount, smallCount) {
+    if (!(largeCount > 0 && smallCount > 0)) {
+        throw new Error('A MOS needs at least one large and one small step.');
+    }
+    if (gcd(largeCount, smallCount) !== 1) {
+        throw new Error(`${largeCount}L ${smallCount}s repeats ${gcd(largeCount, smallCount)} times per period; only single-period patterns are supported.`);
+    }
+    // Each node's children add the sizes of its range endpoints, so descend until the size matches
+    // The descent runs on the generators above half the period (see mosFamilyTree)
+    let level = [[{ numerator: 1, denominator: 2 }, { numerator: 1, denominator: 1 }]];
+    const notes = largeCount + smallCount;
+    while (level.length) {
+        const match = level
+            .map(([lower, upper]) => mosRangeNode(lower, upper))
+            .find(node => node.largeCount === largeCount && node.smallCount === smallCount);
+        if (match) return match;
+        level = level
+            .flatMap(([lower, upper]) => [[lower, mediant(lower, upper)], [mediant(lower, upper), upper]])
+            .filter(([lower, upper]) => Math.max(lower.denominator, upper.denominator) <= notes);
+    }
+    throw new Error(`No generator produces ${largeCount}L ${smallCount}s.`);
+}
+
+/**
+ * The rotational modes of a single-chain MOS, from brightest to darkest.
+ * A mode is named by its tonic's position in the generator chain in UDP notation (up|down):
+ * the number of bright generators stacked above and below the tonic.
+ *
+ * @param {Array<{stack: number, cents: number}>} notes - A generator chain, e.g. from stackGenerator.
+ * @param {number} [period=1200] - Period in cents.
+ * @returns {{pattern: string, modes: Array<{tonicStack: number, up: number, down: number, udp: string,
+ *   steps: string, degrees: number[]}>}|null}
+ *   pattern is the step string of the brightest mode; each mode's degrees are in cents above its
+ *   tonic, starting with 0. Null if the notes do not form a MOS.
+ */
+export function mosModes(notes, period = 1200) {
+    const sorted = [...notes].sort((a, b) => a.cents - b.cents);
+    const mos = classifyMOS(sorted.map(note => note.cents), period);
+    if (!mos.isMOS) return null;
+
+    const letters = mos.steps.map(step => (Math.abs(step - mos.largeStep) < STEP_TOLERANCE ? 'L' : 's')).join('');
+    const size = sorted.length;
+    const modes = sorted.map((tonic, i) => ({
+        tonicStack: tonic.stack,
+        steps: letters.slice(i) + letters.slice(0, i),
+        degrees: sorted.map((note, j) => {
+            const other = sorted[(i + j) % size];
+            return ((other.cents - tonic.cents) % period + period) % period;
+        })
+    }));
+
+    // 'L' sorts before 's', so the brightest mode (large steps first) comes first
+    modes.sort((a, b) => (a.steps < b.steps ? -1 : a.steps > b.steps ? 1 : 0));
+
+    // The brightest mode's tonic is at one end of the chain; that end counts as all "up"
+    const stacks = notes.map(note => note.stack);
+    const lowest = Math.min(...stacks);
+    const highest = Math.max(...stacks);
+    const brightFromLowest = modes[0].tonicStack === lowest;
+    modes.forEach(mode => {
+        mode.up = brightFromLowest ? highest - mode.tonicStack : mode.tonicStack - lowest;
+        mode.down = size - 1 - mode.up;
+        mode.udp = `${mode.up}|${mode.down}`;
+    });
+
+    return { pattern: modes[0].steps, modes };
+}
+
+/**
+ * The bright generator of a single-period pattern xL ys tuned to a step ratio L:s.
+ * The generator is made of the same large and small steps as the range endpoints: the
+ * collapsed endpoint (s = 0) counts its large steps, the equalized one (L = s) all steps.
+ *
+ * @param {number} largeCount
+ * @param {number} smallCount
+ * @param {number} ratio - L/s, greater than 1.
+ * @param {number} [period=1200] - Period in cents.
+ * @returns {number} Generator in cents.
+ * @throws {Error} If the pattern is invalid (see mosGeneratorRange) or the ratio is not above 1.
+ */
+export function generatorFromStepRatio(largeCount, smallCount, ratio, period = 1200) {
+    if (!(ratio > 1) || !isFinite(ratio)) {
+        throw new Error('Step ratio L:s must be greater than 1 and finite.');
+    }
+    const range = mosGeneratorRange(largeCount, smallCount);
+    const notes = largeCount + smallCount;
+    const [equalized, collapsed] = range.lower.denominator === notes
+        ? [range.lower, range.upper]
+        : [range.upper, range.lower];
+    // Scale the collapsed endpoint to count large steps out of largeCount
+    const largeSteps = collapsed.numerator * largeCount / collapsed.denominator;
+    const smallSteps = equalized.numerator * notes / equalized.denominator - largeSteps;
+    return period * (largeSteps * ratio + smallSteps) / (largeCount * ratio + smallCount);
+}
+
+/**
+ * Parse a MOS pattern written as "xL ys" (spaces and letter case are free).
+ * @param {string} text
+ * @returns {{largeCount: number, smallCount: number}}
+ * @throws {Error} If the text is not a pattern.
+ */
+export function parseMosPattern(text) {
+    const match = text.trim().match(/^(\d+)\s*L\s*(\d+)\s*s$/i);
+    if (!match) {
+        throw new Error('Enter a pattern such as 5L 2s.');
+    }
+    return { largeCount: parseInt(match[1], 10), smallCount: parseInt(match[2], 10) };
+}
+
+/**
+ * Parse a step ratio L:s written as "3:2", "3/2" or a decimal such as "1.5".
+ * @param {string} text
+ * @returns {number} L/s
+ * @throws {Error} If the text is not a ratio greater than 1.
+ */
+export function parseStepRatio(text) {
+    const match = text.trim().match(/^(\d+\.?\d*|\.\d+)(?:\s*[:/]\s*(\d+\.?\d*|\.\d+))?$/);
+    const ratio = match ? parseFloat(match[1]) / (match[2] === undefined ? 1 : parseFloat(match[2])) : NaN;
+    if (!(ratio > 1) || !isFinite(ratio)) {
+        throw new Error('Step ratio L:s must be greater than 1, e.g. 3:2, 5/2 or 2.5.');
+    }
+    return ratio;
+}
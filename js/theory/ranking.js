@@ -0,0 +1,77 @@
+// theory/ranking.js
+// Scoring equal divisions against a JI subgroup and odd limit. Pure functions, no DOM access.
+import { getPrimeFactors, ratioToCents } from './math.js';
+import { jiSet } from './ji.js';
+import { nearestStep, edoConsistency } from './approximation.js';
+import { OCTAVE } from './intervals.js';
+
+/**
+ * The primes of the subgroup a ranking is measured on: the primes of a rational period
+ * (2 for the octave) followed by the chosen primes.
+ * @param {number[]} primes - Chosen odd primes.
+ * @param {{numerator?: number, denominator?: number}} [period=2/1]
+ * @returns {number[]}
+ */
+export function rankingSubgroup(primes, period = OCTAVE) {
+    const periodPrimes = Number.isInteger(period.numerator) && Number.isInteger(period.denominator)
+        ? getPrimeFactors(period.numerator).concat(getPrimeFactors(period.denominator))
+        : [];
+    return [...new Set(periodPrimes.concat(primes))].sort((a, b) => a - b);
+}
+
+/**
+ * Tenney–Euclidean error of the patent val of an equal division: the RMS of the
+ * Tenney-weighted prime errors after the step size is optimized, in cents per octave.
+ * @param {number} divisions - Number of equal divisions of the period (at least 1).
+ * @param {number[]} subgroup - Primes to measure (see rankingSubgroup).
+ * @param {number} [period=1200] - Period in cents.
+ * @returns {number}
+ */
+export function teError(divisions, subgroup, period = 1200) {
+    if (!subgroup.length) return 0;
+    // Weighted val entries; the weighted just tuning of every prime is exactly 1200
+    const weighted = subgroup.map(prime => {
+        const cents = ratioToCents(prime);
+        return Math.round(cents * divisions / period) / Math.log2(prime);
+    });
+    const stepSize = 1200 * weighted.reduce((sum, v) => sum + v, 0) /
+        weighted.reduce((sum, v) => sum + v * v, 0);
+    const squares = weighted.reduce((sum, v) => sum + (v * stepSize - 1200) ** 2, 0);
+    return Math.sqrt(squares / weighted.length);
+}
+
+/**
+ * Score one equal division against the odd-limit intervals of a subgroup.
+ * @param {number} divisions - Number of equal divisions of the period (at least 1).
+ * @param {Object} options
+ * @param {number[]} options.primes - Chosen odd primes.
+ * @param {number} options.oddLimit
+ * @param {{cents: number, numerator?: number, denominator?: number}} [options.period=2/1]
+ * @param {Array<{cents: number}>} [options.intervals] - Precomputed jiSet output, to avoid
+ *   regenerating it for every division.
+ * @returns {{edo: number, maxAbsError: number, meanAbsError: number, maxRelError: number,
+ *   meanRelError: number, consistent: boolean, teError: number}}
+ *   Errors are in cents; relative errors are fractions of one step.
+ */
+export function scoreEdo(divisions, { primes, oddLimit, period = OCTAVE, intervals }) {
+    const targets = intervals || jiSet({ primes, oddLimit, period });
+    let maxAbsError = 0;
+    let totalAbsError = 0;
+    targets.forEach(interval => {
+        const error = Math.abs(nearestStep(interval.cents, divisions, period.cents).error);
+        maxAbsError = Math.max(maxAbsError, error);
+        totalAbsError += error;
+    });
+    const meanAbsError = targets.length ? totalAbsError / targets.length : 0;
+    const stepSize = period.cents / divisions;
+
+    return {
+        edo: divisions,
+        maxAbsError,
+        meanAbsError,
+        maxRelError: maxAbsError / stepSize,
+        meanRelError: meanAbsError / stepSize,
+        consistent: edoConsistency({ divisions, primes, oddLimit, period: period.cents }).consistent,
+        teError: teError(divisions, rankingSubgroup(primes, period), period.cents)
+    };
+}
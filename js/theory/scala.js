@@ -0,0 +1,177 @@
+// theory/scala.js
+// Scala scale (.scl) and keyboard mapping (.kbm) file generation. Pure functions, no DOM access.
+// Format reference: https://www.huygens-fokker.org/scala/scl_format.html
+import { OCTAVE } from './intervals.js';
+
+/**
+ * Format one pitch as a Scala pitch line: an exact ratio when numerator/denominator are
+ * given, otherwise cents (which must contain a period to be read as cents).
+ * @param {{cents?: number, numerator?: number, denominator?: number}} pitch
+ * @returns {string}
+ */
+export function formatSclPitch(pitch) {
+    if (Number.isInteger(pitch.numerator) && Number.isInteger(pitch.denominator)) {
+        return `${pitch.numerator}/${pitch.denominator}`;
+    }
+    return pitch.cents.toFixed(5);
+}
+
+/**
+ * The degrees listed in a .scl file for a set of pitches.
+ * The unison is implied by the format, so pitches at 0 cents are dropped; the remaining
+ * pitches are sorted, de-duplicated and followed by the period.
+ *
+ * @param {Array<{cents: number}>} pitches - Scale degrees within the period.
+ * @param {{cents: number}} [period=2/1]
+ * @returns {Array<{cents: number, numerator?: number, denominator?: number}>}
+ */
+export function sclDegrees(pitches, period = OCTAVE) {
+    const degrees = [];
+    [...pitches]
+        .filter(pitch => pitch.cents > 1e-6 && pitch.cents < period.cents - 1e-6)
+        .sort((a, b) => a.cents - b.cents)
+        .forEach(pitch => {
+            if (!degrees.length || pitch.cents - degrees[degrees.length - 1].cents > 1e-6) {
+                degrees.push(pitch);
+            }
+        });
+    degrees.push(period);
+    return degrees;
+}
+
+/**
+ * Build the text of a .scl file.
+ * @param {Object} options
+ * @param {string} options.name - File name written in the header comment.
+ * @param {string} options.description - One-line description of the scale.
+ * @param {Array<{cents: number, numerator?: number, denominator?: number}>} options.pitches - Scale degrees within the period.
+ * @param {{cents: number, numerator?: number, denominator?: number}} [options.period=2/1]
+ * @returns {string}
+ */
+export function toScl({ name, description, pitches, period = OCTAVE }) {
+    const degrees = sclDegrees(pitches, period);
+
+    const lines = [
+        `! ${name}`,
+        '!',
+        description.replace(/[\r\n]+/g, ' '),
+        ` ${degrees.length}`,
+        '!',
+        ...degrees.map(pitch => ` ${formatSclPitch(pitch)}`)
+    ];
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Build the text of a .kbm file with a linear mapping of every scale degree,
+ * placing the 1/1 on the reference key.
+ *
+ * @param {Object} options
+ * @param {string} options.name - File name written in the header comment.
+ * @param {number} options.size - Number of degrees in the .scl file (including the period).
+ * @param {number} options.referenceNote - MIDI note number (0–127) tuned to the 1/1.
+ * @param {number} options.referenceFrequency - Frequency of the reference note in Hz.
+ * @returns {string}
+ */
+export function toKbm({ name, size, referenceNote, referenceFrequency }) {
+    const mapping = [];
+    for (let degree = 0; degree < size; degree++) {
+        mapping.push(String(degree));
+    }
+
+    const lines = [
+        `! ${name}`,
+        '! Size of map. The pattern repeats every so many keys:',
+        String(size),
+        '! First MIDI note number to retune:',
+        '0',
+        '! Last MIDI note number to retune:',
+        '127',
+        '! Middle note where the first entry of the mapping is mapped to:',
+        String(referenceNote),
+        '! Reference note for which frequency is given:',
+        String(referenceNote),
+        '! Frequency to tune the above note to:',
+        referenceFrequency.toFixed(6),
+        '! Scale degree to consider as formal octave (determines difference in pitch',
+        '! between adjacent mapping patterns):',
+        String(size),
+        '! Mapping.',
+        ...mapping
+    ];
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse one pitch token of a .scl file.
+ * @param {string} token - First whitespace-separated token of the line.
+ * @returns {{cents: number, numerator?: number, denominator?: number}|null} Null if invalid.
+ */
+function parseSclPitch(token) {
+    // A period makes it a cents value (may be negative)
+    if (token.includes('.')) {
+        if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(token)) return null;
+        return { cents: parseFloat(token) };
+    }
+    // Otherwise a ratio, or a whole number meaning n/1
+    const match = token.match(/^(\d+)(?:\/(\d+))?$/);
+    if (!match) return null;
+    const numerator = parseInt(match[1], 10);
+    const denominator = match[2] === undefined ? 1 : parseInt(match[2], 10);
+    if (numerator <= 0 || denominator <= 0) return null;
+    return { cents: 1200 * Math.log2(numerator / denominator), numerator, denominator };
+}
+
+/**
+ * Parse the text of a .scl file.
+ * Comment lines start with '!', blank lines after the note count are skipped, and anything
+ * after the first token of a pitch line is ignored.
+ * The last pitch is the period, which may be any interval (not only 2/1).
+ *
+ * @param {string} text
+ * @returns {{description: string, pitches: Array<{cents: number, numerator?: number, denominator?: number, line: number}>,
+ *   period: {cents: number, numerator?: number, denominator?: number, line: number}}}
+ *   pitches are the degrees below the period in file order; line is the 1-based source line.
+ * @throws {Error} With the offending line number if the text is malformed.
+ */
+export function parseScl(text) {
+    const lines = text.split(/\r\n|\r|\n/)
+        .map((content, i) => ({ content, number: i + 1 }))
+        .filter(line => !line.content.startsWith('!'));
+
+    if (lines.length < 2) {
+        throw new Error('Missing description and note count lines.');
+    }
+
+    const description = lines[0].content.trim();
+    const countLine = lines[1];
+    const countToken = countLine.content.trim().split(/\s+/)[0];
+    if (!/^\d+$/.test(countToken)) {
+        throw new Error(`Line ${countLine.number}: note count "${countLine.content.trim()}" is not a whole number.`);
+    }
+    const count = parseInt(countToken, 10);
+    if (count === 0) {
+        throw new Error(`Line ${countLine.number}: the scale must contain at least one pitch.`);
+    }
+
+    // Blank lines between pitches carry no data
+    const pitchLines = lines.slice(2).filter(line => line.content.trim() !== '').slice(0, count);
+    if (pitchLines.length < count) {
+        const lastLine = pitchLines.length ? pitchLines[pitchLines.length - 1].number : countLine.number;
+        throw new Error(`Line ${lastLine}: expected ${count} pitches but found only ${pitchLines.length}.`);
+    }
+
+    const pitches = pitchLines.map(line => {
+        const pitch = parseSclPitch(line.content.trim().split(/\s+/)[0]);
+        if (!pitch) {
+            throw new Error(`Line ${line.number}: "${line.content.trim()}" is not a valid pitch (use cents with a decimal point, or a ratio like 3/2).`);
+        }
+        return { ...pitch, line: line.number };
+    });
+
+    const period = pitches.pop();
+    if (period.cents <= 0) {
+        throw new Error(`Line ${period.line}: the period (last pitch) must be larger than 1/1.`);
+    }
+    return { description, pitches, period };
+}
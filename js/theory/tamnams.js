@@ -0,0 +1,58 @@
+// theory/tamnams.js
+// TAMNAMS names for octave-period MOS patterns and step ratios. Pure functions, no DOM access.
+// Reference: https://en.xen.wiki/w/TAMNAMS
+
+// Names of single-period octave MOS patterns with 2 to 10 notes, keyed by "xL ys"
+const PATTERN_NAMES = {
+    '1L 1s': 'trivial',
+    '1L 2s': 'antrial', '2L 1s': 'trial',
+    '1L 3s': 'antetric', '3L 1s': 'tetric',
+    '1L 4s': 'pedal', '2L 3s': 'pentic', '3L 2s': 'antipentic', '4L 1s': 'manual',
+    '1L 5s': 'antimachinoid', '5L 1s': 'machinoid',
+    '1L 6s': 'onyx', '2L 5s': 'antidiatonic', '3L 4s': 'mosh', '4L 3s': 'smitonic', '5L 2s': 'diatonic',
+    '6L 1s': 'archaeotonic',
+    '1L 7s': 'antipine', '3L 5s': 'checkertonic', '5L 3s': 'oneirotonic', '7L 1s': 'pine',
+    '1L 8s': 'antisubneutralic', '2L 7s': 'balzano', '4L 5s': 'gramitonic', '5L 4s': 'semiquartal',
+    '7L 2s': 'armotonic', '8L 1s': 'subneutralic',
+    '1L 9s': 'antisinatonic', '3L 7s': 'sephiroid', '7L 3s': 'dicoid', '9L 1s': 'sinatonic'
+};
+
+// Named step ratios (L:s) and the ranges between them, from soft to hard
+const NAMED_RATIOS = [
+    { ratio: 1, name: 'equalized' },
+    { ratio: 4 / 3, name: 'supersoft' },
+    { ratio: 3 / 2, name: 'soft' },
+    { ratio: 5 / 3, name: 'semisoft' },
+    { ratio: 2, name: 'basic' },
+    { ratio: 5 / 2, name: 'semihard' },
+    { ratio: 3, name: 'hard' },
+    { ratio: 4, name: 'superhard' },
+    { ratio: Infinity, name: 'collapsed' }
+];
+const RATIO_RANGES = ['ultrasoft', 'parasoft', 'quasisoft', 'minisoft', 'minihard', 'quasihard', 'parahard', 'ultrahard'];
+
+// Step ratios closer than this to a named ratio take its name
+const RATIO_TOLERANCE = 1e-3;
+
+/**
+ * TAMNAMS name of an octave MOS pattern.
+ * @param {number} largeCount
+ * @param {number} smallCount
+ * @returns {string|null} Null if the pattern has no name (larger than 10 notes, or multi-period).
+ */
+export function mosPatternName(largeCount, smallCount) {
+    return PATTERN_NAMES[`${largeCount}L ${smallCount}s`] || null;
+}
+
+/**
+ * TAMNAMS name of a step ratio L:s: the name of a named ratio, otherwise of the range it lies in.
+ * @param {number} ratio - L/s, at least 1 (Infinity when the small step is 0).
+ * @returns {string}
+ */
+export function stepRatioName(ratio) {
+    const named = NAMED_RATIOS.find(entry =>
+        entry.ratio === ratio || Math.abs(entry.ratio - ratio) < RATIO_TOLERANCE);
+    if (named) return named.name;
+    const index = NAMED_RATIOS.findIndex(entry => entry.ratio > ratio);
+    return RATIO_RANGES[Math.max(0, index - 1)];
+}
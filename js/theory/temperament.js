@@ -0,0 +1,300 @@
+// theory/temperament.js
+// Rank-2 temperaments on a prime subgroup: mappings from commas, tempered intervals and
+// optimal generators. Pure functions, no DOM access.
+import { getPrimeFactors } from './math.js';
+import { parseInterval } from './intervals.js';
+
+/**
+ * Exponents of a ratio over a subgroup of primes (its monzo).
+ * @param {number} numerator - Positive integer.
+ * @param {number} denominator - Positive integer.
+ * @param {number[]} subgroup - Primes of the subgroup.
+ * @returns {number[]} One exponent per subgroup prime.
+ * @throws {Error} If the ratio has a prime outside the subgroup.
+ */
+export function ratioToMonzo(numerator, denominator, subgroup) {
+    const exponents = subgroup.map(() => 0);
+    [[numerator, 1], [denominator, -1]].forEach(([value, sign]) => {
+        getPrimeFactors(value).forEach(prime => {
+            const index = subgroup.indexOf(prime);
+            if (index < 0) {
+                throw new Error(`${numerator}/${denominator} uses prime ${prime}, which is not in the subgroup ${subgroup.join('.')}.`);
+            }
+            for (let rest = value; rest % prime === 0; rest /= prime) {
+                exponents[index] += sign;
+            }
+        });
+    });
+    return exponents;
+}
+
+/**
+ * The subgroup of a rank-2 temperament on the given primes: the equave's prime first,
+ * then the other primes in order.
+ * @param {number[]} primes - JI primes.
+ * @param {{numerator: number, denominator: number}} equave - Must be a prime p/1.
+ * @returns {number[]}
+ * @throws {Error} If the equave is not a prime harmonic such as 2/1 or 3/1.
+ */
+export function temperamentSubgroup(primes, equave) {
+    const prime = equave.denominator === 1 ? equave.numerator : NaN;
+    const factors = Number.isInteger(prime) && prime > 1 ? getPrimeFactors(prime) : [];
+    if (factors.length !== 1 || factors[0] !== prime) {
+        throw new Error('Rank-2 temperaments need a prime period such as 2/1 or 3/1.');
+    }
+    return [prime, ...primes.filter(value => value !== prime)];
+}
+
+/**
+ * Negate a row of integers without producing -0.
+ * @param {number[]} row
+ * @returns {number[]}
+ */
+function negateRow(row) {
+    return row.map(value => 0 - value);
+}
+
+/**
+ * Bring integer rows into echelon form with unimodular row operations (Euclid on each column),
+ * applying the same operations to a companion matrix.
+ * @param {number[][]} rows - Modified in place.
+ * @param {number[][]} companion - Modified in place; same number of rows.
+ * @returns {number} The rank: rows below it are zero.
+ */
+function echelonize(rows, companion) {
+    const columns = rows.length ? rows[0].length : 0;
+    const swap = (matrix, i, j) => { [matrix[i], matrix[j]] = [matrix[j], matrix[i]]; };
+    const subtract = (matrix, target, source, factor) => {
+        matrix[target] = matrix[target].map((value, k) => value - factor * matrix[source][k]);
+    };
+
+    let rank = 0;
+    for (let col = 0; col < columns && rank < rows.length; col++) {
+        for (;;) {
+            // Move the smallest non-zero entry of the column up to the pivot row
+            let best = -1;
+            for (let i = rank; i < rows.length; i++) {
+                if (rows[i][col] !== 0 && (best < 0 || Math.abs(rows[i][col]) < Math.abs(rows[best][col]))) best = i;
+            }
+            if (best < 0) break;
+            swap(rows, rank, best);
+            swap(companion, rank, best);
+
+            let cleared = true;
+            for (let i = rank + 1; i < rows.length; i++) {
+                const factor = Math.trunc(rows[i][col] / rows[rank][col]);
+                if (factor) {
+                    subtract(rows, i, rank, factor);
+                    subtract(companion, i, rank, factor);
+                }
+                if (rows[i][col] !== 0) cleared = false;
+            }
+            if (cleared) {
+                rank++;
+                break;
+            }
+        }
+    }
+    return rank;
+}
+
+/**
+ * Hermite normal form of integer rows: echelon form with positive pivots and the entries
+ * above each pivot reduced to [0, pivot). Zero rows are dropped.
+ * @param {number[][]} rows
+ * @returns {number[][]}
+ */
+export function hermiteNormalForm(rows) {
+    const matrix = rows.map(row => [...row]);
+    const rank = echelonize(matrix, matrix.map(() => []));
+    const result = matrix.slice(0, rank);
+    result.forEach((row, r) => {
+        const col = row.findIndex(value => value !== 0);
+        if (row[col] < 0) result[r] = negateRow(row);
+        for (let above = 0; above < r; above++) {
+            const factor = Math.floor(result[above][col] / result[r][col]);
+            if (factor) result[above] = result[above].map((value, k) => value - factor * result[r][k]);
+        }
+    });
+    return result;
+}
+
+/**
+ * The rank-2 mapping (in Hermite normal form) that tempers out the given commas.
+ * @param {Array<{numerator: number, denominator: number}>} commas
+ * @param {number[]} subgroup - Primes of the subgroup.
+ * @returns {number[][]} Two rows of one entry per subgroup prime.
+ * @throws {Error} If a comma is outside the subgroup or the commas do not leave exactly rank 2.
+ */
+export function mappingFromCommas(commas, subgroup) {
+    // Integer left kernel of the commas: vals v with v · comma = 0 for every comma
+    const monzos = commas.map(comma => ratioToMonzo(comma.numerator, comma.denominator, subgroup));
+    const rows = subgroup.map((prime, i) => monzos.map(monzo => monzo[i]));
+    const identity = subgroup.map((prime, i) => subgroup.map((other, j) => (i === j ? 1 : 0)));
+    const rank = echelonize(rows, identity);
+    const kernel = identity.slice(rank);
+    if (kernel.length !== 2) {
+        throw new Error(`The ${subgroup.length}-prime subgroup ${subgroup.join('.')} needs ${subgroup.length - 2} ` +
+            `independent comma${subgroup.length === 3 ? '' : 's'} for a rank-2 temperament (got ${rank}).`);
+    }
+    return hermiteNormalForm(kernel);
+}
+
+/**
+ * Parse a comma list such as "81/80, 126/125".
+ * @param {string} text - Ratios separated by commas, semicolons or spaces.
+ * @returns {Array<{numerator: number, denominator: number}>}
+ * @throws {Error} If an entry is not a ratio.
+ */
+export function parseCommas(text) {
+    const entries = text.split(/[\s,;]+/).filter(Boolean);
+    if (!entries.length) throw new Error('Enter at least one comma, e.g. 81/80.');
+    return entries.map(entry => {
+        const interval = parseInterval(entry);
+        if (!Number.isInteger(interval.numerator) || !Number.isInteger(interval.denominator) || interval.numerator === interval.denominator) {
+            throw new Error(`"${entry}" is not a comma ratio such as 81/80.`);
+        }
+        return { numerator: interval.numerator, denominator: interval.denominator };
+    });
+}
+
+/**
+ * Parse a rank-2 mapping such as "⟨1 1 0], ⟨0 1 4]" or "1 1 0; 0 1 4".
+ * @param {string} text - Two rows separated by commas, semicolons or line breaks.
+ * @param {number} size - Number of subgroup primes.
+ * @returns {number[][]}
+ * @throws {Error} If there are not two rows of size integers.
+ */
+export function parseMapping(text, size) {
+    const rows = text.replace(/[⟨<\[\]>|]/g, ' ')
+        .split(/[,;\n]+/)
+        .map(row => row.trim())
+        .filter(Boolean)
+        .map(row => row.split(/\s+/));
+    if (rows.length !== 2 || rows.some(row => row.length !== size || row.some(value => !/^-?\d+$/.test(value)))) {
+        throw new Error(`Enter two rows of ${size} whole numbers, e.g. ⟨1 1 0], ⟨0 1 4].`);
+    }
+    return rows.map(row => row.map(value => parseInt(value, 10)));
+}
+
+/**
+ * The period of a rank-2 mapping whose first subgroup prime is the equave: the equave
+ * divided by the periods it maps to.
+ * @param {number[][]} mapping - Must map the equave to whole periods (generator count 0).
+ * @param {number} equave - Equave in cents.
+ * @returns {number} Period in cents.
+ * @throws {Error} If the equave does not map to a positive whole number of periods.
+ */
+export function temperamentPeriod(mapping, equave) {
+    if (mapping[1][0] !== 0 || mapping[0][0] <= 0) {
+        throw new Error('The equave must map to a positive number of periods and no generators.');
+    }
+    if (mapping[1].every(value => value === 0)) {
+        throw new Error('The generator row must not be all zeros.');
+    }
+    return equave / mapping[0][0];
+}
+
+/**
+ * Rewrite a mapping for the generator closest to a target size, in the same period-sized
+ * range as the target. The same temperament can be generated by g, period − g, g + period, …;
+ * the row operations keep the tempered intervals unchanged.
+ * @param {number[][]} mapping
+ * @param {number} generator - Tuning of the mapping's generator in cents.
+ * @param {number} period - Period in cents.
+ * @param {number} target - Preferred generator size in cents.
+ * @returns {{mapping: number[][], generator: number}} generator is the new generator's tuning.
+ */
+export function alignGenerator(mapping, generator, period, target) {
+    const steps = Math.floor(generator / period);
+    const reduced = generator - steps * period;
+    const targetSteps = Math.floor(target / period);
+    const wrappedTarget = target - targetSteps * period;
+    // Either g' = g − steps·P, or g' = (steps + 1)·P − g, then moved up by targetSteps periods
+    const flip = Math.abs((period - reduced) - wrappedTarget) < Math.abs(reduced - wrappedTarget);
+    const generatorRow = flip ? negateRow(mapping[1]) : [...mapping[1]];
+    return {
+        mapping: [
+            mapping[0].map((value, k) => value + (flip ? steps + 1 : steps) * mapping[1][k] - targetSteps * generatorRow[k]),
+            generatorRow
+        ],
+        generator: (flip ? period - reduced : reduced) + targetSteps * period
+    };
+}
+
+/**
+ * Temper an interval: its period and generator counts and their tuning.
+ * @param {number[]} monzo - Exponents over the mapping's subgroup.
+ * @param {number[][]} mapping
+ * @param {number} period - Period in cents.
+ * @param {number} generator - Generator in cents.
+ * @returns {{periods: number, generators: number, cents: number}}
+ */
+export function temperMonzo(monzo, mapping, period, generator) {
+    const periods = monzo.reduce((sum, exponent, k) => sum + exponent * mapping[0][k], 0);
+    const generators = monzo.reduce((sum, exponent, k) => sum + exponent * mapping[1][k], 0);
+    return { periods, generators, cents: periods * period + generators * generator };
+}
+
+/**
+ * Tenney-weighted mapping rows and the weighted just tuning (1200 for every prime).
+ * @param {number[][]} mapping
+ * @param {number[]} subgroup
+ * @returns {{rows: number[][], just: number[]}}
+ */
+function weightedMapping(mapping, subgroup) {
+    const weights = subgroup.map(prime => Math.log2(prime));
+    return {
+        rows: mapping.map(row => row.map((value, k) => value / weights[k])),
+        just: subgroup.map(() => 1200)
+    };
+}
+
+/**
+ * Generator of the POTE tuning: the Tenney–Euclidean optimum, scaled so the equave is pure.
+ * @param {number[][]} mapping - First subgroup prime is the equave (see temperamentPeriod).
+ * @param {number[]} subgroup
+ * @param {number} equave - Equave in cents.
+ * @returns {number} Generator in cents.
+ */
+export function poteGenerator(mapping, subgroup, equave) {
+    const { rows: [p, g], just } = weightedMapping(mapping, subgroup);
+    const dot = (a, b) => a.reduce((sum, value, k) => sum + value * b[k], 0);
+    // Least squares for [period, generator] from the 2×2 normal equations
+    const pp = dot(p, p);
+    const pg = dot(p, g);
+    const gg = dot(g, g);
+    const pj = dot(p, just);
+    const gj = dot(g, just);
+    const determinant = pp * gg - pg * pg;
+    const period = (pj * gg - gj * pg) / determinant;
+    const generator = (gj * pp - pj * pg) / determinant;
+    return generator * equave / (period * mapping[0][0]);
+}
+
+/**
+ * Generator of the CTE tuning: the Tenney–Euclidean optimum with the equave held pure.
+ * @param {number[][]} mapping - First subgroup prime is the equave (see temperamentPeriod).
+ * @param {number[]} subgroup
+ * @param {number} equave - Equave in cents.
+ * @returns {number} Generator in cents.
+ */
+export function cteGenerator(mapping, subgroup, equave) {
+    const { rows: [p, g], just } = weightedMapping(mapping, subgroup);
+    const period = temperamentPeriod(mapping, equave);
+    // With the period fixed, the generator is a one-dimensional least-squares fit
+    const residual = just.map((value, k) => value - period * p[k]);
+    return residual.reduce((sum, value, k) => sum + value * g[k], 0) / g.reduce((sum, value) => sum + value * value, 0);
+}
+
+/**
+ * Tenney-weighted damage of an error: the absolute error divided by log2(n·d).
+ * @param {number} error - Error in cents.
+ * @param {number} numerator
+ * @param {number} denominator
+ * @returns {number} 0 for the unison, which is never tempered.
+ */
+export function tenneyDamage(error, numerator, denominator) {
+    if (numerator * denominator === 1) return 0;
+    return Math.abs(error) / Math.log2(numerator * denominator);
+}
@@ -0,0 +1,91 @@
+// transport.js
+// Step-by-step playback of a scale with a callback for driving the on-circle playhead
+import { playInterval } from './sound.js';
+
+// Pending timeout for the next step, or null when stopped
+let stepTimeout = null;
+
+// Callback to run when playback ends or is stopped
+let endCallback = null;
+
+/**
+ * Build the order in which scale degrees are played.
+ * Degrees are sorted and de-duplicated, the 1/1 is added if missing, and the period
+ * is appended so the scale resolves at the top.
+ *
+ * @param {number[]} cents - Scale degrees in cents (any order).
+ * @param {'ascending'|'descending'|'updown'} direction - Playback direction.
+ * @param {number} [period=1200] - Period in cents appended at the top of the scale.
+ * @returns {number[]} Degrees in playback order.
+ */
+export function buildSequence(cents, direction, period = 1200) {
+    const ascending = [];
+    [0, ...cents].sort((a, b) => a - b).forEach(value => {
+        if (!ascending.length || Math.abs(value - ascending[ascending.length - 1]) > 1e-6) {
+            ascending.push(value);
+        }
+    });
+    ascending.push(period);
+
+    if (direction === 'descending') {
+        return ascending.reverse();
+    }
+    if (direction === 'updown') {
+        // Do not repeat the top note when turning around
+        return ascending.concat(ascending.slice(0, -1).reverse());
+    }
+    return ascending;
+}
+
+/**
+ * Play a sequence of pitches one per beat.
+ * @param {number[]} sequence - Pitches in cents, in playback order.
+ * @param {Object} options
+ * @param {number} options.tempo - Beats per minute.
+ * @param {function(number, number): void} [options.onStep] - Called with (cents, index) as each pitch sounds.
+ * @param {function(): void} [options.onEnd] - Called when playback finishes or is stopped.
+ */
+export function startSequence(sequence, { tempo, onStep, onEnd }) {
+    stopSequence();
+    endCallback = onEnd || null;
+
+    const beatSeconds = 60 / tempo;
+    let index = 0;
+
+    function step() {
+        if (index >= sequence.length) {
+            stopSequence();
+            return;
+        }
+        const cents = sequence[index];
+        // Slightly shorter than the beat so consecutive notes stay distinct
+        playInterval(cents, { duration: beatSeconds * 0.9 });
+        if (onStep) onStep(cents, index);
+        index++;
+        stepTimeout = setTimeout(step, beatSeconds * 1000);
+    }
+    step();
+}
+
+/**
+ * Stop the running sequence, if any, and notify its onEnd callback.
+ */
+export function stopSequence() {
+    if (stepTimeout !== null) {
+        clearTimeout(stepTimeout);
+        stepTimeout = null;
+    }
+    if (endCallback) {
+        const callback = endCallback;
+        endCallback = null;
+        callback();
+    }
+}
+
+/**
+ * Whether a sequence is currently playing.
+ * @returns {boolean}
+ */
+export function isSequencePlaying() {
+    return stepTimeout !== null;
+}
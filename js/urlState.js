@@ -0,0 +1,233 @@
+// urlState.js
+// Serialize the sidebar controls into the URL hash so configurations can be shared as links.
+// The same flat { key: string } state objects are stored by the preset manager.
+import { parseInput, showGlobalError, clearGlobalError } from './utils.js';
+import { convertToCents, parsePeriod, parseMosPattern, parseStepRatio, parseChord, parseCommas } from './theory/index.js';
+import { serializeMosLayers, restoreMosLayers, getSelectedMosLayerIndex, selectMosLayerIndex } from './mosLayers.js';
+
+/**
+ * Config describing every control stored in the hash.
+ * key: short name used in the hash; type decides how the value is read, validated and applied;
+ * optional: the value may be left empty.
+ */
+const stateFields = [
+  { key: 'theme', type: 'theme' },
+  { key: 'labels', selector: '#always-on-checkbox', type: 'bool' },
+  { key: 'period', selector: '#period-input', type: 'period' },
+  { key: 'view', selector: '#view-mode', type: 'select' },
+  { key: 'lens', selector: '#lens-toggle', type: 'bool' },
+  { key: 'rperiods', selector: '#ruler-periods', type: 'int', min: 1, max: 8, label: 'Periods shown' },
+  { key: 'edo', selector: '#edo-input', type: 'int', min: 0, label: 'EDO' },
+  { key: 'lines', selector: '#edo-lines', type: 'bool' },
+  { key: 'pcolors', selector: '#prime-colors-checkbox', type: 'bool' },
+  { key: 'primes', selector: '#prime-checkboxes input[type=checkbox]', type: 'primes' },
+  { key: 'odd', selector: '#odd-limit-input', type: 'oddInt', min: 1, label: 'Odd Limit' },
+  { key: 'jimode', selector: '#ji-mode', type: 'select' },
+  { key: 'jilimit', selector: '#ji-limit-type', type: 'select' },
+  { key: 'ilim', selector: '#ji-integer-limit', type: 'int', min: 2, max: 1000, label: 'Integer limit' },
+  { key: 'nlim', selector: '#ji-numerator-limit', type: 'int', min: 2, max: 1000, label: 'Numerator limit' },
+  { key: 'dlim', selector: '#ji-denominator-limit', type: 'int', min: 1, max: 1000, label: 'Denominator limit' },
+  { key: 'tenney', selector: '#ji-tenney-height', type: 'float', min: 1, max: 16, label: 'Tenney height' },
+  { key: 'bened', selector: '#ji-benedetti-height', type: 'int', min: 2, max: 65536, label: 'Benedetti height' },
+  { key: 'plim', selector: '#ji-prime-limit', type: 'select' },
+  { key: 'cplx', selector: '#ji-complexity', type: 'int', min: 1, max: 8, label: 'Complexity' },
+  { key: 'hfrom', selector: '#ji-series-from', type: 'int', min: 1, label: 'Lowest harmonic' },
+  { key: 'hto', selector: '#ji-series-to', type: 'int', min: 1, label: 'Highest harmonic' },
+  { key: 'chord', selector: '#ji-chord-input', type: 'chord' },
+  { key: 'lattice', selector: '#lattice-toggle', type: 'bool' },
+  { key: 'lcommas', selector: '#lattice-commas-input', type: 'commas', optional: true },
+  { key: 'approx', selector: '#approx-toggle', type: 'bool' },
+  { key: 'rmin', selector: '#rank-min-input', type: 'int', min: 1, max: 100000, label: 'Lowest EDO' },
+  { key: 'rmax', selector: '#rank-max-input', type: 'int', min: 1, max: 100000, label: 'Highest EDO' },
+  { key: 'rcons', selector: '#rank-consistent-checkbox', type: 'bool' },
+  { key: 'mos', selector: '#mos-toggle', type: 'bool' },
+  { key: 'layers', type: 'mosLayers' },
+  { key: 'layer', type: 'mosLayer' },
+  { key: 'entry', selector: '#mos-entry-mode', type: 'select' },
+  { key: 'rpat', selector: '#mos-ratio-pattern-input', type: 'pattern' },
+  { key: 'hard', selector: '#mos-hardness-input', type: 'stepRatio' },
+  { key: 'gen', selector: '#mos-generator-input', type: 'interval', label: 'Generator' },
+  { key: 'stacks', selector: '#mos-stacks-input', type: 'int', min: 0, label: 'Number of Stacks' },
+  { key: 'down', selector: '#mos-stacks-down-input', type: 'int', min: 0, label: 'Stacks Down' },
+  { key: 'mode', selector: '#mos-mode-input', type: 'int', min: -100000, max: 100000, label: 'Mode tonic' },
+  { key: 'tdepth', selector: '#mos-tree-depth', type: 'int', min: 1, max: 7, label: 'Tree depth' },
+  { key: 'temp', selector: '#temperament-toggle', type: 'bool' },
+  { key: 'tsrc', selector: '#temperament-source', type: 'select' },
+  { key: 'commas', selector: '#temperament-commas-input', type: 'commas' },
+  { key: 'tmap', selector: '#temperament-mapping-input', type: 'text' },
+  { key: 'wave', selector: '#sound-waveform', type: 'select' },
+  { key: 'ref', selector: '#sound-reference-input', type: 'float', min: 1, max: 20000, label: 'Reference frequency' },
+  { key: 'vol', selector: '#sound-volume-slider', type: 'float', min: 0, max: 1, label: 'Volume' },
+  { key: 'dur', selector: '#sound-duration-input', type: 'float', min: 0.05, max: 10, label: 'Duration' },
+  { key: 'drone', selector: '#sound-drone-checkbox', type: 'bool' },
+  { key: 'src', selector: '#playback-source', type: 'select' },
+  { key: 'dir', selector: '#playback-direction', type: 'select' },
+  { key: 'tempo', selector: '#playback-tempo-input', type: 'float', min: 20, max: 600, label: 'Tempo' }
+];
+
+/**
+ * Read the current value of a control as the string stored in the hash.
+ * @param {Object} field - Entry from stateFields.
+ * @returns {string}
+ */
+function readField(field) {
+  switch (field.type) {
+    case 'theme':
+      return document.body.classList.contains('dark-mode') ? 'dark' : 'light';
+    case 'bool':
+      return d3.select(field.selector).property('checked') ? '1' : '0';
+    case 'mosLayers':
+      return serializeMosLayers();
+    case 'mosLayer':
+      return String(getSelectedMosLayerIndex());
+    case 'primes':
+      return d3.selectAll(field.selector).nodes()
+        .filter(node => node.checked)
+        .map(node => node.value)
+        .join('.');
+    default:
+      return d3.select(field.selector).property('value').trim();
+  }
+}
+
+/**
+ * Validate a hash value and apply it to its control.
+ * @param {Object} field - Entry from stateFields.
+ * @param {string} value - Raw value from the hash.
+ * @throws {Error} If the value is invalid for the field; the control is left unchanged.
+ */
+function applyField(field, value) {
+  switch (field.type) {
+    case 'theme':
+      if (value !== 'dark' && value !== 'light') throw new Error('must be "dark" or "light"');
+      document.body.classList.toggle('dark-mode', value === 'dark');
+      return;
+    case 'bool':
+      if (value !== '1' && value !== '0') throw new Error('must be 1 or 0');
+      d3.select(field.selector).property('checked', value === '1');
+      return;
+    case 'primes': {
+      const boxes = d3.selectAll(field.selector).nodes();
+      const requested = value === '' ? [] : value.split('.');
+      const unknown = requested.filter(prime => !boxes.some(node => node.value === prime));
+      if (unknown.length) throw new Error(`unsupported prime(s) ${unknown.join(', ')}`);
+      boxes.forEach(node => { node.checked = requested.includes(node.value); });
+      return;
+    }
+    case 'mosLayers':
+      restoreMosLayers(value);
+      return;
+    case 'mosLayer':
+      if (!/^\d+$/.test(value)) throw new Error('must be a whole number');
+      selectMosLayerIndex(parseInt(value, 10));
+      return;
+    case 'select': {
+      const options = Array.from(document.querySelector(field.selector).options).map(option => option.value);
+      if (!options.includes(value)) throw new Error(`must be one of ${options.join(', ')}`);
+      d3.select(field.selector).property('value', value);
+      return;
+    }
+    case 'interval':
+      convertToCents(value);
+      d3.select(field.selector).property('value', value);
+      return;
+    case 'period':
+      parsePeriod(value);
+      d3.select(field.selector).property('value', value);
+      return;
+    case 'pattern':
+      parseMosPattern(value);
+      d3.select(field.selector).property('value', value);
+      return;
+    case 'stepRatio':
+      parseStepRatio(value);
+      d3.select(field.selector).property('value', value);
+      return;
+    case 'chord':
+      parseChord(value);
+      d3.select(field.selector).property('value', value);
+      return;
+    case 'commas':
+      // An optional comma list may be left empty
+      if (!(field.optional && value === '')) parseCommas(value);
+      d3.select(field.selector).property('value', value);
+      return;
+    case 'text':
+      // Checked against the subgroup when rendered
+      d3.select(field.selector).property('value', value);
+      return;
+    case 'int':
+    case 'oddInt': {
+      // Fields allowing negative values also accept a leading minus sign
+      if (!(field.min < 0 ? /^-?\d+$/ : /^\d+$/).test(value)) throw new Error(`${field.label} must be a whole number`);
+      const parsed = parseInput(value, { type: 'int', min: field.min, max: field.max, label: field.label });
+      if (field.type === 'oddInt' && parsed % 2 === 0) throw new Error(`${field.label} must be odd`);
+      d3.select(field.selector).property('value', parsed);
+      return;
+    }
+    case 'float': {
+      if (value === '' || !isFinite(Number(value))) throw new Error(`${field.label} must be a valid number`);
+      const parsed = parseInput(value, { type: 'float', min: field.min, max: field.max, label: field.label });
+      d3.select(field.selector).property('value', parsed);
+      return;
+    }
+  }
+}
+
+/**
+ * Capture the state of every control.
+ * @returns {Object<string, string>} Map of field key to serialized value.
+ */
+export function captureState() {
+  const state = {};
+  stateFields.forEach(field => { state[field.key] = readField(field); });
+  return state;
+}
+
+/**
+ * Apply a state object to the controls, field by field.
+ * Missing fields keep their current values; invalid fields are skipped.
+ * @param {Object<string, string>} state - Map of field key to serialized value.
+ * @returns {string[]} One message per invalid field (empty if everything applied).
+ */
+export function applyState(state) {
+  const problems = [];
+  stateFields.forEach(field => {
+    if (!Object.prototype.hasOwnProperty.call(state, field.key)) return;
+    const value = String(state[field.key]);
+    try {
+      applyField(field, value);
+    } catch (err) {
+      problems.push(`${field.key}="${value}" (${err.message})`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * Write the state of every control into the URL hash without adding a history entry.
+ */
+export function writeStateToHash() {
+  const params = new URLSearchParams(captureState());
+  history.replaceState(null, '', `#${params.toString()}`);
+}
+
+/**
+ * Restore controls from the URL hash.
+ * Missing fields keep their current values; invalid fields are skipped one by one and
+ * reported together through the global error area.
+ * @returns {boolean} True if the hash contained any state.
+ */
+export function restoreStateFromHash() {
+  const hash = window.location.hash.replace(/^#/, '');
+  if (!hash) return false;
+
+  const problems = applyState(Object.fromEntries(new URLSearchParams(hash)));
+
+  if (problems.length) {
+    showGlobalError(`Some link settings were invalid and have been ignored: ${problems.join('; ')}`);
+  } else {
+    clearGlobalError();
+  }
+  return true;
+}
@@ -129,9 +129,10 @@ export function attachTooltipHandlers(selection, getText) {
       const tooltip = d3.select(`#${tooltipId}`);
       const content = getText(d);
       
-      // Get container dimensions for responsive sizing calculations
-      const visualizationDiv = document.getElementById('visualization');
-      const containerWidth = visualizationDiv.offsetWidth;
+      // Get container dimensions for responsive sizing calculations; the tooltip is positioned
+      // within #main-content so it can follow the mouse over the circle and the lattice view
+      const container = document.getElementById('main-content');
+      const containerWidth = container.offsetWidth;
       
       // Set CSS class based on container size for responsive sizing
       tooltip.classed('small-screen', containerWidth < 480)
@@ -150,22 +151,22 @@ export function attachTooltipHandlers(selection, getText) {
         .attr('aria-describedby', tooltipId);
       
       // Position tooltip initially with improved positioning
-      const rect = visualizationDiv.getBoundingClientRect();
+      const rect = container.getBoundingClientRect();
       const mouseX = event.clientX - rect.left;
       const mouseY = event.clientY - rect.top;
       
       // Calculate position to keep tooltip in view
-      positionTooltip(tooltip.node(), mouseX, mouseY, visualizationDiv);
+      positionTooltip(tooltip.node(), mouseX, mouseY, container);
     })
     .on('mousemove', function(event) {
       const tooltip = d3.select('#tooltip');
-      const visualizationDiv = document.getElementById('visualization');
-      const rect = visualizationDiv.getBoundingClientRect();
+      const container = document.getElementById('main-content');
+      const rect = container.getBoundingClientRect();
       const mouseX = event.clientX - rect.left;
       const mouseY = event.clientY - rect.top;
       
       // Update position as mouse moves
-      positionTooltip(tooltip.node(), mouseX, mouseY, visualizationDiv);
+      positionTooltip(tooltip.node(), mouseX, mouseY, container);
     })
     .on('mouseout', function() {
       const tooltip = d3.select('#tooltip');
@@ -266,8 +267,27 @@ export function attachTooltipHandlers(selection, getText) {
   }
 }
 
+// Label layout: how strongly each layer claims space for its labels (higher wins), the line
+// height of multi-line labels in ems, how many label sizes a label may be pushed out of the
+// way before it is hidden, and the space kept between labels in pixels
+const LABEL_LAYER_PRIORITY = { mos: 4, edo: 3, custom: 2, ji: 1 };
+const LABEL_LINE_HEIGHT = 1.2;
+const LABEL_MAX_STEPS = 4;
+const LABEL_GAP = 2;
+
+// Placement settings of every label drawn by renderLabels, read back by layoutLabels
+const labelLayouts = new WeakMap();
+
+// SVGs with labels waiting to be laid out once the current render has finished
+const pendingLayouts = new Set();
+
 /**
- * Render labels for a D3 selection in a DRY, configurable way.
+ * Render labels for a D3 selection in a DRY, configurable way. Lines separated by "\n"
+ * become tspans. Once the current render has finished, every label in the SVG is laid out
+ * together: labels are placed in order of priority (by layer, then simplest first), a label
+ * that would overlap one already placed is pushed away from the circle's center (or upwards
+ * when no center is given) with a leader line back to its point, and a label that still
+ * does not fit is hidden.
  *
  * Example usage:
  * renderLabels({
@@ -276,6 +296,10 @@ export function attachTooltipHandlers(selection, getText) {
  *   getText: d => `Stack ${d.stack}: ${d.cents.toFixed(2)}¢`,
  *   getX: d => centerX + (radius + 10) * Math.cos(...),
  *   getY: d => centerY + (radius + 10) * Math.sin(...),
+ *   getAnchor: d => [pointX(d), pointY(d)],
+ *   center: [centerX, centerY],
+ *   layer: 'mos',
+ *   getComplexity: d => Math.abs(d.stack),
  *   fontSize: '10px',
  *   fill: 'var(--text-color)',
  *   anchor: 'middle'
@@ -284,25 +308,164 @@ export function attachTooltipHandlers(selection, getText) {
  * @param {Object} config - Configuration object
  * @param {d3.Selection} config.selection - D3 selection to append labels to
  * @param {Array} config.data - Data array for labels
- * @param {function} config.getText - Function (d) => string for label text
- * @param {function} config.getX - Function (d) => number for x position
- * @param {function} config.getY - Function (d) => number for y position
+ * @param {function} config.getText - Function (d) => string for label text, "\n" between lines
+ * @param {function} config.getX - Function (d) => number for the preferred x position
+ * @param {function} config.getY - Function (d) => number for the preferred y position
+ * @param {function} [config.getAnchor] - Function (d) => [x, y] of the point the label belongs
+ *   to; a leader line joins it to a label that had to move
+ * @param {number[]} [config.center] - [x, y] that labels are pushed away from; labels move
+ *   upwards when omitted
+ * @param {string} [config.layer] - 'mos', 'edo', 'custom' or 'ji', deciding which labels win
+ * @param {function} [config.getComplexity] - Function (d) => number; simpler labels win
+ *   within a layer
  * @param {string} [config.fontSize] - Font size (default '10px')
  * @param {string} [config.fill] - Text color (default 'var(--text-color)')
  * @param {string} [config.anchor] - Text anchor (default 'middle')
  * @returns {d3.Selection} The D3 selection of created text labels
  */
-export function renderLabels({ selection, data, getText, getX, getY, fontSize = '10px', fill = 'var(--text-color)', anchor = 'middle' }) {
-  return selection.selectAll('text')
+export function renderLabels({
+  selection,
+  data,
+  getText,
+  getX,
+  getY,
+  getAnchor,
+  center,
+  layer,
+  getComplexity = () => 0,
+  fontSize = '10px',
+  fill = 'var(--text-color)',
+  anchor = 'middle'
+}) {
+  const labels = selection.selectAll('text.chart-label')
     .data(data)
     .enter()
     .append('text')
-    .attr('x', getX)
-    .attr('y', getY)
-    .text(getText)
+    .attr('class', 'chart-label')
     .attr('font-size', fontSize)
     .attr('fill', fill)
     .attr('text-anchor', anchor);
+
+  labels.each(function(d) {
+    const x = getX(d);
+    const y = getY(d);
+    const lines = String(getText(d)).split('\n');
+    d3.select(this).attr('x', x).attr('y', y).selectAll('tspan')
+      .data(lines)
+      .enter()
+      .append('tspan')
+      .attr('x', x)
+      .attr('dy', (line, i) => (i === 0 ? 0 : `${LABEL_LINE_HEIGHT}em`))
+      .text(line => line);
+
+    // Direction the label moves in when it is in the way: away from the center, or up
+    let direction = [0, -1];
+    if (center) {
+      const length = Math.hypot(x - center[0], y - center[1]);
+      if (length > 0) direction = [(x - center[0]) / length, (y - center[1]) / length];
+    }
+    labelLayouts.set(this, {
+      x,
+      y,
+      direction,
+      lineCount: lines.length,
+      longestLine: Math.max(...lines.map(line => line.length)),
+      anchorPoint: getAnchor ? getAnchor(d) : null,
+      priority: (LABEL_LAYER_PRIORITY[layer] || 0) * 1e6 - getComplexity(d)
+    });
+  });
+
+  const svgNode = selection.node() && (selection.node().ownerSVGElement || selection.node());
+  if (svgNode && !pendingLayouts.has(svgNode)) {
+    pendingLayouts.add(svgNode);
+    queueMicrotask(() => {
+      if (pendingLayouts.delete(svgNode)) layoutLabels(svgNode);
+    });
+  }
+  return labels;
+}
+
+/**
+ * Lay out the labels of every SVG drawn since the last layout straight away, for code that
+ * reads the finished drawing in the same task (such as image export).
+ */
+export function flushLabelLayouts() {
+  pendingLayouts.forEach(svgNode => layoutLabels(svgNode));
+  pendingLayouts.clear();
+}
+
+/**
+ * Measure a label relative to its x and y, using the rendered box when there is one and an
+ * estimate from the font size otherwise (e.g. while its SVG is hidden).
+ * @param {SVGTextElement} node
+ * @param {Object} layout - Entry from labelLayouts.
+ * @returns {{left: number, top: number, width: number, height: number}}
+ */
+function measureLabel(node, layout) {
+  const box = typeof node.getBBox === 'function' ? node.getBBox() : null;
+  if (box && box.width > 0) {
+    // The box is where the label is now, which is not its preferred place after a layout
+    const x = parseFloat(node.getAttribute('x'));
+    const y = parseFloat(node.getAttribute('y'));
+    return { left: box.x - x, top: box.y - y, width: box.width, height: box.height };
+  }
+  const fontSize = parseFloat(node.getAttribute('font-size')) || 10;
+  const width = layout.longestLine * fontSize * 0.6;
+  const shift = { start: 0, end: -width }[node.getAttribute('text-anchor')] ?? -width / 2;
+  return { left: shift, top: -fontSize * 0.8, width, height: layout.lineCount * fontSize * LABEL_LINE_HEIGHT };
+}
+
+/**
+ * Lay out every label renderLabels drew in an SVG, highest priority first, moving labels
+ * out of each other's way and hiding those that cannot be placed.
+ * @param {SVGSVGElement} svgNode
+ */
+function layoutLabels(svgNode) {
+  const root = d3.select(svgNode);
+  root.selectAll('line.label-leader').remove();
+
+  const labels = root.selectAll('text.chart-label').nodes()
+    .filter(node => labelLayouts.has(node))
+    .map(node => {
+      const layout = labelLayouts.get(node);
+      return { node, layout, size: measureLabel(node, layout) };
+    })
+    .sort((a, b) => b.layout.priority - a.layout.priority);
+
+  const placed = [];
+  const overlaps = (a, b) => a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+
+  labels.forEach(({ node, layout, size }) => {
+    const [dx, dy] = layout.direction;
+    const step = Math.abs(dx) * size.width + Math.abs(dy) * size.height + LABEL_GAP;
+    for (let k = 0; k <= LABEL_MAX_STEPS; k++) {
+      const x = layout.x + dx * step * k;
+      const y = layout.y + dy * step * k;
+      const box = {
+        left: x + size.left - LABEL_GAP / 2,
+        right: x + size.left + size.width + LABEL_GAP / 2,
+        top: y + size.top - LABEL_GAP / 2,
+        bottom: y + size.top + size.height + LABEL_GAP / 2
+      };
+      if (placed.some(other => overlaps(box, other))) continue;
+
+      placed.push(box);
+      const label = d3.select(node).attr('x', x).attr('y', y).attr('display', null);
+      label.selectAll('tspan').attr('x', x);
+      if (k > 0 && layout.anchorPoint) {
+        // Join the moved label to its point, ending on the nearest edge of the label
+        const [ax, ay] = layout.anchorPoint;
+        d3.select(node.parentNode).insert('line', () => node)
+          .attr('class', 'label-leader')
+          .attr('x1', ax)
+          .attr('y1', ay)
+          .attr('x2', clamp(ax, box.left, box.right))
+          .attr('y2', clamp(ay, box.top, box.bottom));
+      }
+      return;
+    }
+    d3.select(node).attr('display', 'none');
+  });
 }
 
 /**
@@ -348,6 +511,110 @@ export function clearGroup(group) {
   group.selectAll('*').remove();
 }
 
+// Length in milliseconds of the transitions that slide pitches around the circle and fade
+// out removed elements
+const TRANSITION_DURATION = 250;
+
+/**
+ * Remember the inputs a layer was last drawn from, so a layer whose inputs did not change
+ * can keep what it drew instead of recomputing it.
+ * @returns {function(Array): boolean} Call with the layer's current inputs; returns whether
+ *   they differ from the previous call.
+ */
+export function createChangeTracker() {
+  let lastKey = null;
+  return inputs => {
+    const key = JSON.stringify(inputs);
+    const changed = key !== lastKey;
+    lastKey = key;
+    return changed;
+  };
+}
+
+/**
+ * Current values of every input and select inside a container, checkboxes as booleans.
+ * @param {string} selector - CSS selector for the container, e.g. a sidebar module.
+ * @returns {Array<string|boolean>}
+ */
+export function controlValues(selector) {
+  return d3.selectAll(`${selector} input, ${selector} select`).nodes()
+    .map(node => (node.type === 'checkbox' ? node.checked : node.value));
+}
+
+/**
+ * Remove the handlers added by attachTooltipHandlers, e.g. when labels are switched on.
+ * @param {d3.Selection} selection
+ */
+export function detachTooltipHandlers(selection) {
+  selection
+    .on('mouseover', null)
+    .on('mousemove', null)
+    .on('mouseout', null)
+    .on('touchstart', null);
+}
+
+/**
+ * Place elements at the pitch of their datum. Elements whose pitch changed since the last
+ * call slide there around the circle, the short way round; new elements and those whose
+ * pitch is unchanged are placed straight away, so resizing and zooming stay immediate.
+ * @param {d3.Selection} selection
+ * @param {Object} options
+ * @param {function} options.getCents - Function (d) => pitch in cents
+ * @param {number} options.periodCents - Cents in one turn of the circle
+ * @param {function(number): number[]} options.position - Maps a pitch in cents to [x, y]
+ * @param {string[]} [options.attrs] - Names of the x and y attributes (default ['cx', 'cy'])
+ */
+export function slideToPitch(selection, { getCents, periodCents, position, attrs = ['cx', 'cy'] }) {
+  const [xAttr, yAttr] = attrs;
+  selection.each(function(d) {
+    const element = d3.select(this);
+    const node = this;
+    const target = getCents(d);
+    // Pitch the element is drawn at now, part way through a slide if one is running
+    const start = node.__pitch;
+    const delta = start === undefined ? 0 : ((target - start) % periodCents + periodCents * 1.5) % periodCents - periodCents / 2;
+
+    if (Math.abs(delta) < 1e-9) {
+      element.interrupt('slide');
+      const [x, y] = position(target);
+      element.attr(xAttr, x).attr(yAttr, y);
+      node.__pitch = target;
+      return;
+    }
+    element.transition('slide')
+      .duration(TRANSITION_DURATION)
+      .tween('slide', () => t => {
+        node.__pitch = start + delta * t;
+        const [x, y] = position(node.__pitch);
+        element.attr(xAttr, x).attr(yAttr, y);
+      });
+  });
+}
+
+/**
+ * Bring back elements that were fading out after their datum returned (the update callback
+ * of a keyed join).
+ * @param {d3.Selection} update
+ * @returns {d3.Selection} The same selection.
+ */
+export function cancelExit(update) {
+  return update.interrupt('exit')
+    .attr('opacity', null)
+    .attr('pointer-events', null);
+}
+
+/**
+ * Fade out and remove elements whose datum is gone (the exit callback of a keyed join).
+ * @param {d3.Selection} exit
+ */
+export function fadeOutAndRemove(exit) {
+  exit.attr('pointer-events', 'none')
+    .transition('exit')
+    .duration(TRANSITION_DURATION)
+    .attr('opacity', 0)
+    .remove();
+}
+
 /**
  * Creates a throttled function that only invokes the provided function at most once per 
  * animation frame. Useful for smooth, performance-optimized resize or scroll handlers.
@@ -370,3 +637,22 @@ export function throttleAnimationFrame(func) {
     }
   };
 }
+
+/**
+ * Download text or binary content as a file, entirely client-side.
+ * @param {string} filename - Suggested file name.
+ * @param {string|Blob} content - File content; strings are wrapped in a Blob of the given type.
+ * @param {string} [mimeType='text/plain'] - MIME type used when content is a string.
+ */
+export function downloadFile(filename, content, mimeType = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,48 @@
+// Tests for theory/approximation.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { nearestStep, approximateIntervals, edoConsistency } from '../../js/theory/index.js';
+
+const FIFTH = 1200 * Math.log2(3 / 2);
+const MAJOR_THIRD = 1200 * Math.log2(5 / 4);
+
+test('nearestStep finds the closest step and its signed error', () => {
+    const fifth = nearestStep(FIFTH, 12);
+    assert.equal(fifth.step, 7);
+    assert.equal(fifth.stepCents, 700);
+    assert.ok(Math.abs(fifth.error - (700 - FIFTH)) < 1e-9);
+    assert.ok(Math.abs(fifth.relativeError - fifth.error / 100) < 1e-12);
+
+    // 12-EDO's major third is sharp
+    assert.ok(nearestStep(MAJOR_THIRD, 12).error > 13);
+});
+
+test('nearestStep divides other periods', () => {
+    const tritave = 1200 * Math.log2(3);
+    const { step, stepCents } = nearestStep(tritave / 2, 13, tritave);
+    assert.equal(step, 7);
+    assert.ok(Math.abs(stepCents - 7 * tritave / 13) < 1e-9);
+});
+
+test('approximateIntervals keeps the interval fields', () => {
+    const [fifth] = approximateIntervals([{ cents: FIFTH, fraction: '3/2' }], 12);
+    assert.equal(fifth.fraction, '3/2');
+    assert.equal(fifth.cents, FIFTH);
+    assert.equal(fifth.step, 7);
+});
+
+test('edoConsistency accepts 12-EDO up to the 9-odd-limit', () => {
+    const primes = [3, 5, 7, 11];
+    assert.deepEqual(edoConsistency({ divisions: 12, primes, oddLimit: 9 }), { consistent: true, inconsistencies: [] });
+
+    const { consistent, inconsistencies } = edoConsistency({ divisions: 12, primes, oddLimit: 11 });
+    assert.equal(consistent, false);
+    assert.deepEqual(inconsistencies.map(i => i.fraction), ['11/3', '11/9']);
+    assert.deepEqual(inconsistencies[0], { fraction: '11/3', direct: 22, composed: 23 });
+});
+
+test('edoConsistency only checks the allowed primes', () => {
+    // 7-EDO is inconsistent on 7/5, which leaves the 3.5 subgroup untouched
+    assert.equal(edoConsistency({ divisions: 7, primes: [3, 5, 7], oddLimit: 7 }).consistent, false);
+    assert.equal(edoConsistency({ divisions: 7, primes: [3, 5], oddLimit: 15 }).consistent, true);
+});
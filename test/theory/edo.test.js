@@ -0,0 +1,21 @@
+// Tests for theory/edo.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { edoSteps } from '../../js/theory/index.js';
+
+test('edoSteps(0) is empty', () => {
+    assert.deepEqual(edoSteps(0), []);
+});
+
+test('edoSteps divides the octave', () => {
+    const steps = edoSteps(12);
+    assert.equal(steps.length, 12);
+    assert.deepEqual(steps[0], { index: 0, cents: 0 });
+    assert.equal(steps[7].cents, 700);
+});
+
+test('edoSteps divides other periods', () => {
+    const steps = edoSteps(13, 1901.955);
+    assert.equal(steps.length, 13);
+    assert.ok(Math.abs(steps[1].cents - 1901.955 / 13) < 1e-9);
+});
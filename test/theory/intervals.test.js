@@ -0,0 +1,50 @@
+// Tests for theory/intervals.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { convertToCents, detectInputFormat, parseInterval, parsePeriod } from '../../js/theory/index.js';
+
+test('convertToCents reads ratios', () => {
+    assert.ok(Math.abs(convertToCents('3/2') - 701.955) < 1e-3);
+    assert.equal(convertToCents('2/1'), 1200);
+    assert.equal(convertToCents(' 1/1 '), 0);
+});
+
+test('convertToCents reads plain cents', () => {
+    assert.equal(convertToCents('701.955'), 701.955);
+    assert.equal(convertToCents('-100'), -100);
+});
+
+test('convertToCents reads EDO steps', () => {
+    assert.equal(convertToCents('7\\12'), 700);
+    assert.equal(convertToCents('0\\5'), 0);
+});
+
+test('convertToCents rejects bad input', () => {
+    assert.throws(() => convertToCents('abc'), /Invalid input/);
+    assert.throws(() => convertToCents(''), /Invalid input/);
+    assert.throws(() => convertToCents('3/0'), /Invalid ratio format/);
+    assert.throws(() => convertToCents('-3/2'), /Invalid ratio format/);
+    assert.throws(() => convertToCents('1/2/3'), /Invalid ratio format/);
+    assert.throws(() => convertToCents('7\\0'), /Invalid EDO format/);
+    assert.throws(() => convertToCents('7\\x'), /Invalid EDO format/);
+});
+
+test('detectInputFormat names the format', () => {
+    assert.equal(detectInputFormat('7\\12').format, 'EDO steps');
+    assert.equal(detectInputFormat('3/2').format, 'JI ratio');
+    assert.equal(detectInputFormat('701.955').format, 'Cents');
+});
+
+test('parseInterval keeps exact whole-number ratios only', () => {
+    assert.deepEqual(parseInterval('3/1'), { cents: 1200 * Math.log2(3), numerator: 3, denominator: 1 });
+    assert.deepEqual(parseInterval('1.5/1'), { cents: 1200 * Math.log2(1.5) });
+    assert.deepEqual(parseInterval('19\\12'), { cents: 1900 });
+});
+
+test('parsePeriod keeps exact ratios and rejects the unison and below', () => {
+    assert.deepEqual(parsePeriod('1901.955'), { cents: 1901.955 });
+    assert.equal(parsePeriod('3/1').numerator, 3);
+    assert.throws(() => parsePeriod('1/1'), /larger than 1\/1/);
+    assert.throws(() => parsePeriod('-100'), /larger than 1\/1/);
+    assert.throws(() => parsePeriod('abc'), /Invalid input/);
+});
@@ -0,0 +1,121 @@
+// Tests for theory/ji.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { jiSet, harmonicSegment, parseChord, jiChord, jiChordEdges, jiLimitSet } from '../../js/theory/index.js';
+
+const TRITAVE = { cents: 1200 * Math.log2(3), numerator: 3, denominator: 1 };
+
+const fractions = intervals => intervals.map(interval => `${interval.numerator}/${interval.denominator}`);
+
+test('jiSet keeps one of each pair reducing to the same interval', () => {
+    // 3/1 and 9/3 both reduce to 3/2; 1/3 and 3/9 both reduce to 4/3
+    const intervals = jiSet({ primes: [3], oddLimit: 9 });
+    assert.deepEqual(fractions(intervals).sort(), ['16/9', '3/2', '4/3', '9/8']);
+    const cents = intervals.map(interval => interval.cents.toFixed(6));
+    assert.equal(new Set(cents).size, cents.length);
+});
+
+test('jiSet leaves out the unison and the octave', () => {
+    const intervals = jiSet({ primes: [3, 5], oddLimit: 5 });
+    assert.ok(intervals.every(interval => interval.cents > 0 && interval.cents < 1200));
+    assert.deepEqual(fractions(intervals).sort(), ['3/2', '4/3', '5/3', '5/4', '6/5', '8/5']);
+});
+
+test('jiSet only uses the given primes', () => {
+    assert.deepEqual(jiSet({ primes: [5], oddLimit: 9 }).map(interval => interval.primes), [[5], [5]]);
+    assert.deepEqual(jiSet({ primes: [], oddLimit: 9 }), []);
+});
+
+test('jiSet reduces into a tritave', () => {
+    // Powers of 3 all reduce to the period, so only the 5 and 7 ratios remain
+    assert.deepEqual(jiSet({ primes: [3], oddLimit: 9, period: TRITAVE }), []);
+    const intervals = jiSet({ primes: [3, 5, 7], oddLimit: 7, period: TRITAVE });
+    assert.ok(intervals.every(interval => interval.cents > 0 && interval.cents < TRITAVE.cents));
+    assert.ok(fractions(intervals).includes('5/3'));
+    assert.ok(fractions(intervals).includes('7/5'));
+});
+
+test('jiSet keeps the fraction as written for an irrational period', () => {
+    const intervals = jiSet({ primes: [3], oddLimit: 3, period: { cents: 1900 } });
+    assert.deepEqual(intervals.map(interval => interval.fraction), ['1/3', '3/1']);
+    assert.ok(intervals.every(interval => interval.numerator === undefined));
+    assert.ok(Math.abs(intervals[1].cents - (1200 * Math.log2(3) - 1900)) < 1e-9);
+});
+
+test('harmonicSegment lists the harmonics in a range', () => {
+    assert.deepEqual(harmonicSegment(8, 12), [8, 9, 10, 11, 12]);
+    assert.throws(() => harmonicSegment(8, 8), /must be above/);
+    assert.throws(() => harmonicSegment(1, 100), /at most 64/);
+});
+
+test('parseChord reads colon-separated harmonics', () => {
+    assert.deepEqual(parseChord(' 4 : 5:6:7 '), [4, 5, 6, 7]);
+    for (const text of ['4', '4:0:6', '4:5.5', '4::6']) {
+        assert.throws(() => parseChord(text), /such as 4:5:6:7/, text);
+    }
+});
+
+test('jiChord reduces an otonal chord over its root', () => {
+    const tones = jiChord([4, 5, 6, 7]);
+    assert.deepEqual(fractions(tones), ['1/1', '5/4', '3/2', '7/4']);
+    assert.deepEqual(tones.map(tone => tone.harmonic), [4, 5, 6, 7]);
+    assert.deepEqual(tones.map(tone => tone.primes), [[], [5], [3], [7]]);
+    assert.equal(tones[0].cents, 0);
+});
+
+test('jiChord mirrors a utonal chord', () => {
+    const tones = jiChord([4, 5, 6, 7], { utonal: true });
+    assert.deepEqual(fractions(tones), ['1/1', '8/7', '4/3', '8/5']);
+    assert.deepEqual(tones.map(tone => tone.harmonic), [4, 7, 6, 5]);
+});
+
+test('jiChord keeps octave duplicates once', () => {
+    assert.deepEqual(fractions(jiChord([1, 2, 3, 4])), ['1/1', '3/2']);
+});
+
+test('jiChordEdges gives the sides between neighbouring tones', () => {
+    const edges = jiChordEdges(jiChord([4, 5, 6, 7]));
+    assert.deepEqual(edges.map(edge => edge.fraction), ['5/4', '6/5', '7/6', '8/7']);
+    assert.deepEqual(edges.map(edge => edge.primes), [[5], [3, 5], [7, 3], [7]]);
+    const total = edges.reduce((sum, edge) => sum + edge.cents, 0);
+    assert.ok(Math.abs(total - 1200) < 1e-9);
+
+    const utonal = { utonal: true };
+    assert.deepEqual(jiChordEdges(jiChord([4, 5, 6, 7], utonal), utonal).map(edge => edge.fraction),
+        ['8/7', '7/6', '6/5', '5/4']);
+});
+
+test('jiChordEdges draws one side for a dyad and none for a single tone', () => {
+    assert.deepEqual(jiChordEdges(jiChord([2, 3])).map(edge => edge.fraction), ['3/2']);
+    assert.deepEqual(jiChordEdges(jiChord([1, 2])), []);
+});
+
+test('jiLimitSet applies integer and numerator/denominator limits', () => {
+    assert.deepEqual(fractions(jiLimitSet({ criterion: 'integer', bound: 6, primes: [3, 5] })),
+        ['6/5', '5/4', '4/3', '3/2', '5/3']);
+    assert.deepEqual(fractions(jiLimitSet({ criterion: 'numden', bound: { numerator: 7, denominator: 4 }, primes: [3, 5, 7] })),
+        ['5/4', '4/3', '3/2', '5/3', '7/4']);
+});
+
+test('jiLimitSet applies Benedetti and Tenney heights', () => {
+    // 5/4 has height 20 and 6/5 has 30
+    const benedetti = jiLimitSet({ criterion: 'benedetti', bound: 20, primes: [3, 5] });
+    assert.deepEqual(fractions(benedetti), ['5/4', '4/3', '3/2', '5/3']);
+    assert.deepEqual(jiLimitSet({ criterion: 'tenney', bound: Math.log2(20), primes: [3, 5] }), benedetti);
+});
+
+test('jiLimitSet applies the prime limit by monzo complexity', () => {
+    const intervals = jiLimitSet({ criterion: 'prime', bound: 1, primes: [3, 5] });
+    assert.deepEqual(fractions(intervals), ['5/4', '4/3', '3/2', '8/5']);
+    assert.deepEqual(intervals.map(interval => interval.primes), [[5], [3], [3], [5]]);
+});
+
+test('jiLimitSet reduces into a tritave', () => {
+    assert.deepEqual(fractions(jiLimitSet({ criterion: 'integer', bound: 6, primes: [3, 5], period: TRITAVE })),
+        ['6/5', '5/4', '4/3', '3/2', '5/3', '2/1', '5/2']);
+});
+
+test('jiLimitSet rejects unknown and oversized limits', () => {
+    assert.throws(() => jiLimitSet({ criterion: 'weil', bound: 6, primes: [3] }), /Unknown limit/);
+    assert.throws(() => jiLimitSet({ criterion: 'integer', bound: 200, primes: [3, 5, 7, 11, 13] }), /more than 500/);
+});
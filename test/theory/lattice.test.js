@@ -0,0 +1,49 @@
+// Tests for theory/lattice.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    latticeAxis, latticeEquivalencePrime, latticeExponents, latticeKey, latticePosition, latticeEdges
+} from '../../js/theory/index.js';
+
+const point = (numerator, denominator) => ({ exponents: latticeExponents(numerator, denominator) });
+
+test('latticeAxis gives 3 and 5 the main axes and every prime an axis', () => {
+    assert.deepEqual(latticeAxis(3), [1, 0]);
+    assert.deepEqual(latticeAxis(5), [0, 1]);
+    const [x, y] = latticeAxis(23);
+    assert.ok(Math.abs(Math.hypot(x, y) - 0.4) < 1e-12);
+});
+
+test('latticeEquivalencePrime follows a prime period', () => {
+    assert.equal(latticeEquivalencePrime({ numerator: 2, denominator: 1 }), 2);
+    assert.equal(latticeEquivalencePrime({ numerator: 3, denominator: 1 }), 3);
+    assert.equal(latticeEquivalencePrime({ numerator: 3, denominator: 2 }), 2);
+    assert.equal(latticeEquivalencePrime({ cents: 1900 }), 2);
+});
+
+test('latticeExponents leaves out the equivalence prime', () => {
+    assert.deepEqual(latticeExponents(15, 8), [[3, 1], [5, 1]]);
+    assert.deepEqual(latticeExponents(6, 5), [[3, 1], [5, -1]]);
+    assert.deepEqual(latticeExponents(9, 7, 3), [[7, -1]]);
+    assert.deepEqual(latticeExponents(2, 1), []);
+});
+
+test('latticeKey and latticePosition place a point', () => {
+    const exponents = latticeExponents(10, 9);
+    assert.equal(latticeKey(exponents), '3:-2,5:1');
+    assert.deepEqual(latticePosition(exponents), { x: -2, y: 1 });
+    assert.deepEqual(latticePosition([]), { x: 0, y: 0 });
+});
+
+test('latticeEdges joins points one prime step apart', () => {
+    const points = [point(1, 1), point(3, 2), point(5, 4), point(15, 8), point(9, 8)];
+    const edges = latticeEdges(points).map(edge =>
+        `${latticeKey(edge.source.exponents)}>${latticeKey(edge.target.exponents)} ${edge.prime}`);
+    assert.deepEqual(edges.sort(), [
+        '3:1>3:1,5:1 5',
+        '3:1>3:2 3',
+        '5:1>3:1,5:1 3',
+        '>3:1 3',
+        '>5:1 5'
+    ].sort());
+});
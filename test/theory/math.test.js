@@ -0,0 +1,53 @@
+// Tests for theory/math.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { gcd, isPrime, getPrimeFactors, reduceToOctave, reduceToPeriod, reduceCents } from '../../js/theory/index.js';
+
+const TRITAVE = { numerator: 3, denominator: 1 };
+
+test('gcd handles zero and negative values', () => {
+    assert.equal(gcd(12, 18), 6);
+    assert.equal(gcd(-4, 6), 2);
+    assert.equal(gcd(0, 5), 5);
+    assert.equal(gcd(0, 0), 0);
+});
+
+test('isPrime rejects 1, non-integers and composites', () => {
+    assert.deepEqual([1, 2, 3, 4, 5, 9, 25, 29, 2.5].map(isPrime),
+        [false, true, true, false, true, false, false, true, false]);
+});
+
+test('getPrimeFactors lists distinct primes', () => {
+    assert.deepEqual(getPrimeFactors(1), []);
+    assert.deepEqual(getPrimeFactors(45), [3, 5]);
+    assert.deepEqual(getPrimeFactors(64), [2]);
+    assert.deepEqual(getPrimeFactors(77), [7, 11]);
+});
+
+test('reduceToOctave reduces into [1, 2) and simplifies', () => {
+    assert.deepEqual(reduceToOctave(3, 1), { numerator: 3, denominator: 2 });
+    assert.deepEqual(reduceToOctave(9, 3), { numerator: 3, denominator: 2 });
+    assert.deepEqual(reduceToOctave(1, 3), { numerator: 4, denominator: 3 });
+    assert.deepEqual(reduceToOctave(2, 1), { numerator: 1, denominator: 1 });
+});
+
+test('reduceToPeriod reduces into a tritave', () => {
+    assert.deepEqual(reduceToPeriod(5, 1, TRITAVE), { numerator: 5, denominator: 3 });
+    assert.deepEqual(reduceToPeriod(1, 2, TRITAVE), { numerator: 3, denominator: 2 });
+    assert.deepEqual(reduceToPeriod(7, 3, TRITAVE), { numerator: 7, denominator: 3 });
+    assert.deepEqual(reduceToPeriod(9, 1, TRITAVE), { numerator: 1, denominator: 1 });
+    assert.deepEqual(reduceToPeriod(3, 1, TRITAVE), { numerator: 1, denominator: 1 });
+});
+
+test('reduceToPeriod reduces into a non-integer period', () => {
+    const fifth = { numerator: 3, denominator: 2 };
+    assert.deepEqual(reduceToPeriod(2, 3, fifth), { numerator: 1, denominator: 1 });
+    assert.deepEqual(reduceToPeriod(5, 4, fifth), { numerator: 5, denominator: 4 });
+    assert.deepEqual(reduceToPeriod(2, 1, fifth), { numerator: 4, denominator: 3 });
+});
+
+test('reduceCents wraps negative pitches', () => {
+    assert.equal(reduceCents(-100), 1100);
+    assert.equal(reduceCents(1200), 0);
+    assert.equal(reduceCents(2000, 1900), 100);
+});
@@ -0,0 +1,190 @@
+// Tests for theory/mos.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stackGenerator, classifyMOS, mosChain, mosFamilyTree, mosGeneratorRange, mosModes,
+    generatorFromStepRatio, parseMosPattern, parseStepRatio } from '../../js/theory/index.js';
+
+const chainCents = (generator, stacks, period = 1200) =>
+    stackGenerator(generator, stacks, period).map(note => note.cents);
+
+test('stackGenerator with no stacks gives the tonic alone', () => {
+    assert.deepEqual(stackGenerator(700, 0), [{ stack: 0, cents: 0 }]);
+});
+
+test('stackGenerator reduces into the period', () => {
+    assert.deepEqual(stackGenerator(700, 2), [
+        { stack: 0, cents: 0 },
+        { stack: 1, cents: 700 },
+        { stack: 2, cents: 200 }
+    ]);
+    assert.deepEqual(stackGenerator(-500, 1), [
+        { stack: 0, cents: 0 },
+        { stack: 1, cents: 700 }
+    ]);
+});
+
+test('classifyMOS finds the diatonic scale', () => {
+    const mos = classifyMOS(chainCents(700, 6));
+    assert.equal(mos.isMOS, true);
+    assert.equal(mos.largeCount, 5);
+    assert.equal(mos.smallCount, 2);
+    assert.equal(mos.largeStep, 200);
+    assert.equal(mos.smallStep, 100);
+});
+
+test('classifyMOS rejects chains that are not MOS', () => {
+    // Three step sizes: 0 200 700 900
+    assert.equal(classifyMOS(chainCents(700, 3)).isMOS, false);
+    // Two step sizes whose counts are not coprime: 8 notes of 12-EDO
+    assert.equal(classifyMOS(chainCents(700, 7)).isMOS, false);
+    // A single step size
+    assert.equal(classifyMOS(chainCents(400, 2)).isMOS, false);
+});
+
+test('classifyMOS rejects a generator of 0 or the full period', () => {
+    for (const generator of [0, 1200]) {
+        const mos = classifyMOS(chainCents(generator, 4));
+        assert.equal(mos.isMOS, false);
+        assert.equal(mos.largeStep, null);
+        assert.equal(mos.smallStep, null);
+    }
+});
+
+const fraction = f => `${f.numerator}/${f.denominator}`;
+const rangeOf = node => [node.lower, node.mediant, node.upper].map(fraction);
+
+test('mosChain lists the MOS patterns of a fifth', () => {
+    const chain = mosChain(700, 1200, 10);
+    assert.deepEqual(chain.map(mos => `${mos.largeCount}L ${mos.smallCount}s`), ['1L 1s', '2L 1s', '2L 3s', '5L 2s']);
+    assert.deepEqual(chain.map(mos => mos.stacks), [1, 2, 4, 6]);
+    assert.equal(chain[3].largeStep, 200);
+});
+
+test('mosGeneratorRange gives the bright generators of 5L 2s', () => {
+    const range = mosGeneratorRange(5, 2);
+    assert.equal(range.notes, 7);
+    assert.deepEqual(rangeOf(range), ['4/7', '7/12', '3/5']);
+});
+
+test('mosGeneratorRange gives bright generators below half the period', () => {
+    // 2L 5s is brightest with 4\9 = 533.33 cents; 5\9 is its dark generator
+    assert.deepEqual(rangeOf(mosGeneratorRange(2, 5)), ['3/7', '4/9', '1/2']);
+    assert.deepEqual(rangeOf(mosGeneratorRange(3, 4)), ['2/7', '3/10', '1/3']);
+});
+
+test('the bright generator stacks up to the brightest mode', () => {
+    for (const [largeCount, smallCount] of [[5, 2], [2, 5], [3, 4], [4, 3], [1, 3]]) {
+        const { mediant, notes } = mosGeneratorRange(largeCount, smallCount);
+        const mos = classifyMOS(chainCents(mediant.numerator / mediant.denominator * 1200, notes - 1));
+        const letters = mos.steps.map(step => (step === mos.largeStep ? 'L' : 's')).join('');
+        const rotations = [...letters].map((_, i) => letters.slice(i) + letters.slice(0, i));
+        assert.equal(letters, rotations.sort()[0], `${largeCount}L ${smallCount}s`);
+    }
+});
+
+test('mosGeneratorRange rejects multi-period and degenerate patterns', () => {
+    assert.throws(() => mosGeneratorRange(4, 2), /repeats 2 times/);
+    assert.throws(() => mosGeneratorRange(0, 3), /at least one/);
+});
+
+test('mosFamilyTree holds each pattern once per level', () => {
+    const tree = mosFamilyTree(2);
+    assert.deepEqual(rangeOf(tree), ['1/2', '2/3', '1/1']);
+    assert.deepEqual(tree.children.map(node => `${node.largeCount}L ${node.smallCount}s`), ['2L 1s', '1L 2s']);
+    const names = tree.children.flatMap(node => node.children).map(node => `${node.largeCount}L ${node.smallCount}s`);
+    assert.deepEqual(names, ['2L 3s', '3L 2s', '3L 1s', '1L 3s']);
+});
+
+test('mosFamilyTree nodes match mosGeneratorRange', () => {
+    const nodes = [];
+    const walk = node => {
+        nodes.push(node);
+        node.children.forEach(walk);
+    };
+    walk(mosFamilyTree(4));
+    nodes.forEach(node => {
+        assert.deepEqual(rangeOf(node), rangeOf(mosGeneratorRange(node.largeCount, node.smallCount)));
+    });
+});
+
+test('mosModes orders the diatonic modes from Lydian to Locrian', () => {
+    const { pattern, modes } = mosModes(stackGenerator(700, 6));
+    assert.equal(pattern, 'LLLsLLs');
+    assert.deepEqual(modes.map(mode => mode.udp), ['6|0', '5|1', '4|2', '3|3', '2|4', '1|5', '0|6']);
+    assert.deepEqual(modes.map(mode => mode.tonicStack), [0, 1, 2, 3, 4, 5, 6]);
+    // Ionian (5|1) and Aeolian (2|4)
+    assert.deepEqual(modes[1].degrees, [0, 200, 400, 500, 700, 900, 1100]);
+    assert.deepEqual(modes[4].degrees, [0, 200, 300, 500, 700, 800, 1000]);
+});
+
+test('mosModes counts up from the bright end of a dark chain', () => {
+    // Fourths stack the same scale, with Lydian on the last note of the chain
+    const { pattern, modes } = mosModes(stackGenerator(500, 6));
+    assert.equal(pattern, 'LLLsLLs');
+    assert.equal(modes[0].tonicStack, 6);
+    assert.equal(modes[0].udp, '6|0');
+});
+
+test('stackGenerator stacks downward from the unison', () => {
+    assert.deepEqual(stackGenerator(700, 2, 1200, 2), [
+        { stack: -2, cents: 1000 },
+        { stack: -1, cents: 500 },
+        { stack: 0, cents: 0 },
+        { stack: 1, cents: 700 },
+        { stack: 2, cents: 200 }
+    ]);
+    // No downward stacks starts at +0, not -0
+    assert.ok(Object.is(stackGenerator(700, 1, 1200, 0)[0].stack, 0));
+});
+
+test('mosModes names the tonic of a chain stacked both ways', () => {
+    // One fifth down from the tonic gives Ionian (5|1) on stack 0
+    const { modes } = mosModes(stackGenerator(700, 5, 1200, 1));
+    assert.equal(modes.find(mode => mode.tonicStack === 0).udp, '5|1');
+    assert.equal(modes[0].tonicStack, -1);
+});
+
+test('mosModes returns null for a chain that is not MOS', () => {
+    assert.equal(mosModes(stackGenerator(700, 7)), null);
+});
+
+test('generatorFromStepRatio gives the bright generator', () => {
+    assert.equal(generatorFromStepRatio(5, 2, 2), 700);
+    // 10\17 for hard diatonic
+    assert.ok(Math.abs(generatorFromStepRatio(5, 2, 3) - 1200 * 10 / 17) < 1e-9);
+});
+
+test('generatorFromStepRatio handles patterns with more small steps than large', () => {
+    // Bright generators below half the period: 4\9 and 3\10
+    assert.ok(Math.abs(generatorFromStepRatio(2, 5, 2) - 1200 * 4 / 9) < 1e-9);
+    assert.ok(Math.abs(generatorFromStepRatio(3, 4, 2) - 360) < 1e-9);
+    // L:s = 3:2 gives 7\16
+    assert.ok(Math.abs(generatorFromStepRatio(2, 5, 1.5) - 525) < 1e-9);
+});
+
+test('generatorFromStepRatio scales to the period', () => {
+    const tritave = 1200 * Math.log2(3);
+    const { mediant } = mosGeneratorRange(4, 5);
+    assert.ok(Math.abs(generatorFromStepRatio(4, 5, 2, tritave) - tritave * mediant.numerator / mediant.denominator) < 1e-9);
+});
+
+test('generatorFromStepRatio rejects ratios of 1 or less and bad patterns', () => {
+    assert.throws(() => generatorFromStepRatio(5, 2, 1), /greater than 1/);
+    assert.throws(() => generatorFromStepRatio(5, 2, Infinity), /greater than 1/);
+    assert.throws(() => generatorFromStepRatio(4, 2, 2), /repeats/);
+});
+
+test('parseMosPattern reads xL ys', () => {
+    assert.deepEqual(parseMosPattern(' 5L 2s '), { largeCount: 5, smallCount: 2 });
+    assert.deepEqual(parseMosPattern('2l5S'), { largeCount: 2, smallCount: 5 });
+    assert.throws(() => parseMosPattern('5 2'), /such as 5L 2s/);
+});
+
+test('parseStepRatio reads ratios and decimals', () => {
+    assert.equal(parseStepRatio('3:2'), 1.5);
+    assert.equal(parseStepRatio(' 5/2'), 2.5);
+    assert.equal(parseStepRatio('2.5'), 2.5);
+    for (const text of ['1:1', '2:3', '0.5', 'hard', '3:0']) {
+        assert.throws(() => parseStepRatio(text), /greater than 1/, text);
+    }
+});
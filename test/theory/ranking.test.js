@@ -0,0 +1,38 @@
+// Tests for theory/ranking.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rankingSubgroup, teError, scoreEdo, jiSet } from '../../js/theory/index.js';
+
+test('rankingSubgroup adds the primes of a rational period', () => {
+    assert.deepEqual(rankingSubgroup([5, 3]), [2, 3, 5]);
+    assert.deepEqual(rankingSubgroup([5], { numerator: 3, denominator: 1 }), [3, 5]);
+    assert.deepEqual(rankingSubgroup([3], { cents: 1900 }), [3]);
+});
+
+test('teError is zero for an empty subgroup and ranks better EDOs lower', () => {
+    assert.equal(teError(12, []), 0);
+    const subgroup = [2, 3, 5];
+    assert.ok(teError(53, subgroup) < teError(31, subgroup));
+    assert.ok(teError(31, subgroup) < teError(12, subgroup));
+});
+
+test('scoreEdo measures the 5-odd-limit errors of 12-EDO', () => {
+    const score = scoreEdo(12, { primes: [3, 5], oddLimit: 5 });
+    assert.equal(score.edo, 12);
+    // The worst interval is the minor third, 15.64 cents flat
+    assert.ok(Math.abs(score.maxAbsError - (1200 * Math.log2(6 / 5) - 300)) < 1e-9);
+    assert.ok(Math.abs(score.maxRelError - score.maxAbsError / 100) < 1e-12);
+    assert.ok(score.meanAbsError < score.maxAbsError);
+    assert.equal(score.consistent, true);
+    assert.equal(score.teError, teError(12, [2, 3, 5]));
+});
+
+test('scoreEdo accepts precomputed intervals', () => {
+    const options = { primes: [3, 5, 7], oddLimit: 9 };
+    const intervals = jiSet(options);
+    assert.deepEqual(scoreEdo(31, { ...options, intervals }), scoreEdo(31, options));
+});
+
+test('scoreEdo reports inconsistency', () => {
+    assert.equal(scoreEdo(7, { primes: [3, 5, 7], oddLimit: 7 }).consistent, false);
+});
@@ -0,0 +1,63 @@
+// Tests for theory/scala.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatSclPitch, sclDegrees, toScl, toKbm, parseScl } from '../../js/theory/index.js';
+
+test('formatSclPitch writes ratios exactly and cents with a period', () => {
+    assert.equal(formatSclPitch({ cents: 701.955, numerator: 3, denominator: 2 }), '3/2');
+    assert.equal(formatSclPitch({ cents: 700 }), '700.00000');
+    assert.equal(formatSclPitch({ cents: 0 }), '0.00000');
+});
+
+test('sclDegrees drops the unison and duplicates and ends on the period', () => {
+    const degrees = sclDegrees([{ cents: 700 }, { cents: 0 }, { cents: 200 }, { cents: 700 }, { cents: 1200 }]);
+    assert.deepEqual(degrees.map(degree => degree.cents), [200, 700, 1200]);
+    assert.deepEqual(degrees[degrees.length - 1], { cents: 1200, numerator: 2, denominator: 1 });
+});
+
+test('sclDegrees of no pitches is the period alone', () => {
+    assert.deepEqual(sclDegrees([]), [{ cents: 1200, numerator: 2, denominator: 1 }]);
+});
+
+test('toScl writes the header, count and pitches', () => {
+    const text = toScl({
+        name: 'test.scl',
+        description: 'Two\nlines',
+        pitches: [{ cents: 386.314, numerator: 5, denominator: 4 }, { cents: 701.955, numerator: 3, denominator: 2 }]
+    });
+    assert.equal(text, '! test.scl\n!\nTwo lines\n 3\n!\n 5/4\n 3/2\n 2/1\n');
+});
+
+test('toKbm maps every degree linearly from the reference key', () => {
+    const lines = toKbm({ name: 'test.kbm', size: 3, referenceNote: 60, referenceFrequency: 261.6256 }).trim().split('\n');
+    const values = lines.filter(line => !line.startsWith('!'));
+    assert.deepEqual(values, ['3', '0', '127', '60', '60', '261.625600', '3', '0', '1', '2']);
+});
+
+test('parseScl reads cents, ratios and whole numbers and splits off the period', () => {
+    const scale = parseScl('! meantone.scl\n!\nQuarter-comma meantone\n 3\n!\n 193.15686 comment\n\n 5/4\n 2\n');
+    assert.equal(scale.description, 'Quarter-comma meantone');
+    assert.deepEqual(scale.pitches.map(pitch => pitch.line), [6, 8]);
+    assert.equal(scale.pitches[0].cents, 193.15686);
+    assert.equal(scale.pitches[1].numerator, 5);
+    assert.deepEqual({ ...scale.period, cents: Math.round(scale.period.cents) }, { cents: 1200, numerator: 2, denominator: 1, line: 9 });
+});
+
+test('parseScl reads back what toScl writes', () => {
+    const pitches = [{ cents: 386.314, numerator: 5, denominator: 4 }, { cents: 700 }];
+    const period = { cents: 1200 * Math.log2(3), numerator: 3, denominator: 1 };
+    const scale = parseScl(toScl({ name: 'round.scl', description: 'Round trip', pitches, period }));
+    assert.equal(scale.pitches.length, 2);
+    assert.equal(scale.pitches[1].cents, 700);
+    assert.equal(scale.period.numerator, 3);
+});
+
+test('parseScl reports the offending line', () => {
+    assert.throws(() => parseScl('only a description'), /Missing description and note count/);
+    assert.throws(() => parseScl('x\nmany\n'), /Line 2: note count "many"/);
+    assert.throws(() => parseScl('x\n0\n'), /Line 2: the scale must contain at least one pitch/);
+    assert.throws(() => parseScl('x\n2\n 3/2\n'), /Line 3: expected 2 pitches but found only 1/);
+    assert.throws(() => parseScl('x\n1\n 3/0\n'), /Line 3: "3\/0" is not a valid pitch/);
+    assert.throws(() => parseScl('x\n1\n abc\n'), /Line 3: "abc" is not a valid pitch/);
+    assert.throws(() => parseScl('x\n1\n -100.0\n'), /Line 3: the period \(last pitch\) must be larger than 1\/1/);
+});
@@ -0,0 +1,28 @@
+// Tests for theory/tamnams.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mosPatternName, stepRatioName } from '../../js/theory/index.js';
+
+test('mosPatternName names octave patterns up to 10 notes', () => {
+    assert.equal(mosPatternName(5, 2), 'diatonic');
+    assert.equal(mosPatternName(2, 5), 'antidiatonic');
+    assert.equal(mosPatternName(3, 4), 'mosh');
+    assert.equal(mosPatternName(5, 3), 'oneirotonic');
+    assert.equal(mosPatternName(7, 5), null);
+    assert.equal(mosPatternName(4, 2), null);
+});
+
+test('stepRatioName names the TAMNAMS ratios', () => {
+    assert.equal(stepRatioName(1), 'equalized');
+    assert.equal(stepRatioName(3 / 2), 'soft');
+    assert.equal(stepRatioName(2), 'basic');
+    assert.equal(stepRatioName(3), 'hard');
+    assert.equal(stepRatioName(Infinity), 'collapsed');
+});
+
+test('stepRatioName names the ranges between ratios', () => {
+    assert.equal(stepRatioName(1.1), 'ultrasoft');
+    assert.equal(stepRatioName(1.75), 'minisoft');
+    assert.equal(stepRatioName(2.2), 'minihard');
+    assert.equal(stepRatioName(5), 'ultrahard');
+});
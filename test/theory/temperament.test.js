@@ -0,0 +1,91 @@
+// Tests for theory/temperament.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ratioToMonzo, temperamentSubgroup, hermiteNormalForm, mappingFromCommas, parseCommas, parseMapping,
+    temperamentPeriod, alignGenerator, temperMonzo, poteGenerator, cteGenerator, tenneyDamage
+} from '../../js/theory/index.js';
+
+const SYNTONIC = { numerator: 81, denominator: 80 };
+const MEANTONE = [[1, 0, -4], [0, 1, 4]];
+
+test('ratioToMonzo counts prime exponents', () => {
+    assert.deepEqual(ratioToMonzo(81, 80, [2, 3, 5]), [-4, 4, -1]);
+    assert.deepEqual(ratioToMonzo(7, 4, [2, 3, 5, 7]), [-2, 0, 0, 1]);
+    assert.throws(() => ratioToMonzo(7, 4, [2, 3, 5]), /prime 7/);
+});
+
+test('temperamentSubgroup puts the equave prime first', () => {
+    assert.deepEqual(temperamentSubgroup([3, 5], { numerator: 2, denominator: 1 }), [2, 3, 5]);
+    assert.deepEqual(temperamentSubgroup([3, 5, 7], { numerator: 3, denominator: 1 }), [3, 5, 7]);
+    assert.throws(() => temperamentSubgroup([3, 5], { numerator: 4, denominator: 1 }), /prime period/);
+    assert.throws(() => temperamentSubgroup([3, 5], { numerator: 3, denominator: 2 }), /prime period/);
+});
+
+test('hermiteNormalForm gives positive pivots and reduced entries', () => {
+    assert.deepEqual(hermiteNormalForm([[0, -1, -4], [1, 1, 0]]), MEANTONE);
+    assert.deepEqual(hermiteNormalForm([[1, 1, 0], [0, 1, 4], [1, 2, 4]]), MEANTONE);
+});
+
+test('mappingFromCommas finds meantone, septimal meantone and srutal', () => {
+    assert.deepEqual(mappingFromCommas([SYNTONIC], [2, 3, 5]), MEANTONE);
+    assert.deepEqual(mappingFromCommas([SYNTONIC, { numerator: 126, denominator: 125 }], [2, 3, 5, 7]),
+        [[1, 0, -4, -13], [0, 1, 4, 10]]);
+    // The half-octave period shows as 2 in the first entry
+    assert.deepEqual(mappingFromCommas([{ numerator: 2048, denominator: 2025 }], [2, 3, 5]), [[2, 0, 11], [0, 1, -2]]);
+});
+
+test('mappingFromCommas needs rank 2', () => {
+    assert.throws(() => mappingFromCommas([SYNTONIC], [2, 3, 5, 7]), /needs 2 independent commas/);
+    // Two independent commas in 2.3.5 leave rank 1
+    assert.throws(() => mappingFromCommas([SYNTONIC, { numerator: 128, denominator: 125 }], [2, 3, 5]), /got 2/);
+    // A comma and its square are only one
+    assert.deepEqual(mappingFromCommas([SYNTONIC, { numerator: 6561, denominator: 6400 }], [2, 3, 5]), MEANTONE);
+});
+
+test('parseCommas and parseMapping read the text inputs', () => {
+    assert.deepEqual(parseCommas('81/80; 126/125'), [SYNTONIC, { numerator: 126, denominator: 125 }]);
+    assert.throws(() => parseCommas(''), /at least one comma/);
+    assert.throws(() => parseCommas('700'), /not a comma ratio/);
+    assert.deepEqual(parseMapping('⟨1 0 -4], ⟨0 1 4]', 3), MEANTONE);
+    assert.deepEqual(parseMapping('1 0 -4\n0 1 4', 3), MEANTONE);
+    assert.throws(() => parseMapping('1 0 -4', 3), /two rows of 3/);
+});
+
+test('temperamentPeriod divides the equave', () => {
+    assert.equal(temperamentPeriod(MEANTONE, 1200), 1200);
+    assert.equal(temperamentPeriod([[2, 0, 11], [0, 1, -2]], 1200), 600);
+    assert.throws(() => temperamentPeriod([[1, 0, -4], [1, 1, 4]], 1200), /no generators/);
+});
+
+test('POTE and CTE tune meantone', () => {
+    const pote = poteGenerator(MEANTONE, [2, 3, 5], 1200);
+    const cte = cteGenerator(MEANTONE, [2, 3, 5], 1200);
+    // The mapping's generator is the twelfth; its fifths are 696.239 and 697.214 cents
+    assert.ok(Math.abs(pote - 1200 - 696.239) < 1e-3);
+    assert.ok(Math.abs(cte - 1200 - 697.214) < 1e-3);
+});
+
+test('alignGenerator rewrites the mapping for a fifth', () => {
+    const pote = poteGenerator(MEANTONE, [2, 3, 5], 1200);
+    const { mapping, generator } = alignGenerator(MEANTONE, pote, 1200, 700);
+    assert.deepEqual(mapping, [[1, 1, 0], [0, 1, 4]]);
+    assert.ok(Math.abs(generator - 696.239) < 1e-3);
+    // Tempered intervals are unchanged
+    const third = ratioToMonzo(5, 4, [2, 3, 5]);
+    assert.ok(Math.abs(temperMonzo(third, mapping, 1200, generator).cents - temperMonzo(third, MEANTONE, 1200, pote).cents) < 1e-9);
+});
+
+test('temperMonzo maps a tempered comma to the unison', () => {
+    assert.deepEqual(temperMonzo([-4, 4, -1], MEANTONE, 1200, 1896.24), { periods: 0, generators: 0, cents: 0 });
+    const fifth = temperMonzo([-1, 1, 0], MEANTONE, 1200, 1896.24);
+    assert.equal(fifth.periods, -1);
+    assert.equal(fifth.generators, 1);
+    assert.ok(Math.abs(fifth.cents - 696.24) < 1e-9);
+});
+
+test('tenneyDamage weights errors by complexity', () => {
+    assert.equal(tenneyDamage(-6, 3, 2), 6 / Math.log2(6));
+    assert.ok(tenneyDamage(5, 5, 4) < tenneyDamage(5, 3, 2));
+    assert.equal(tenneyDamage(5, 1, 1), 0);
+});